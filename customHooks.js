@@ -1,33 +1,46 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
+
+
+// wether or not the hooks are running in the browser, as opposed to being rendered on the server
+const isClient = typeof window !== "undefined";
+
+// useLayoutEffect warns when rendering on the server, where neither kind of effect runs
+const useIsomorphicLayoutEffect = isClient ? useLayoutEffect : useEffect;
+
+// wether or not this is a production build, read in a try as process does not exist in a browser without a bundler that replaces it
+const isProduction = (() => {
+  try {
+    return process.env.NODE_ENV === "production";
+  } catch (error) {
+    return false;
+  }
+})();
 
 
 /* ------- LIFECYLCLE METHOD HOOKS ------- */
 
 
-// shorthand for the component did mount effect
+// shorthand for the component did mount effect. The handler can return the component will unmount handler.
+//  Runs once per mount, even though StrictMode runs the effects of a mount twice
 export function useComponentDidMount(componentDidMountHandler){
 
-  // calling useEffect with an empty dependancy array only gets called when component mounts
-  useEffect(() => {
-    const onComponentWillUnMountHander = componentDidMountHandler();
-    return onComponentWillUnMountHander;
-  }, []);
+  useMountEffect(componentDidMountHandler);
 
 }
 
 
-// shorthand for the component will unmount effect
+// shorthand for the component will unmount effect. Runs once when the component actually unmounts, not when StrictMode
+//  simulates an unmount
 export function useComponentWillUnMount(componentWillUnMountHandler){
 
-  useEffect(() => {
-
-    // component will unmount
-    return componentWillUnMountHandler;
-  }, []);
+  useMountEffect(() => componentWillUnMountHandler);
 
 }
 
+
 // component will mount
+//  Note* this runs while rendering, so it also runs for renders that react throws away, and twice in StrictMode where the first render
+//  is thrown away. Use useComponentWillMountOnce for handlers that must only run once per mount
 export function useComponentWillMount(componentWillMountHandler){
     const hasRendered = useRef(false);
 
@@ -39,19 +52,28 @@ export function useComponentWillMount(componentWillMountHandler){
 }
 
 
+// runs the handler once per mount, before the first paint. Unlike useComponentWillMount this is after the first render (and after
+//  the layout effects and refs of the children), so it can not prepare values for the first render
+export function useComponentWillMountOnce(componentWillMountHandler){
+
+  useMountEffect(() => {
+    componentWillMountHandler && componentWillMountHandler();
+  }, true);
+
+}
+
+
 // short hand for setting up componentDidMount, componentWillUnMount, componentWillMountHandler hooks with useEffect
 export function useComponentMountLifecycleMethods(componentDidMountHandler, componentWillUnMountHandler, componentWillMountHandler){
 
-  // component did mount
-  useEffect(() => {
+  // component did mount and component will unmount
+  useMountEffect(() => {
 
     componentDidMountHandler && componentDidMountHandler();
 
-    // component will unmount
-    if(componentWillUnMountHandler)
-      return componentWillUnMountHandler;
+    return componentWillUnMountHandler;
 
-  }, []);
+  });
 
 
   useComponentWillMount(componentWillMountHandler);
@@ -59,18 +81,22 @@ export function useComponentMountLifecycleMethods(componentDidMountHandler, comp
 }
 
 
-// component did update effect. runs on subsequent renders
-export function useComponentDidUpdate(componentDidUpdateHandler){
+// component did update effect. runs on subsequent renders. The handler is called with the trackedValues of the previous and of
+//  the current render, ie. useComponentDidUpdate((prev, current) => ..., { props, state }) like componentDidUpdate(prevProps, prevState)
+export function useComponentDidUpdate(componentDidUpdateHandler, trackedValues){
 
-  // whether this is the first or a subsequent render
-  const isSubsequentRender = useRef(false);
+  useUpdateEffect(componentDidUpdateHandler, trackedValues);
 
-  useEffect(() => {
-    if(isSubsequentRender.current)
-      componentDidUpdateHandler && componentDidUpdateHandler();
-    else
-      isSubsequentRender.current = true;
-  });
+}
+
+
+// getSnapshotBeforeUpdate and componentDidUpdate. getSnapshot(prevValues, values) measures the DOM, ie. the scroll position of a list,
+//  and its result is passed to componentDidUpdateHandler(prevValues, values, snapshot) before the update is painted.
+//  Hooks have no phase between rendering and changing the DOM, so getSnapshot is called while rendering the update and must only read
+//  from the DOM. Updates that react renders ahead of time (transitions, suspense) can commit later, after the DOM changed again
+export function useSnapshotBeforeUpdate(getSnapshot, componentDidUpdateHandler, trackedValues){
+
+  useUpdateEffect(componentDidUpdateHandler, trackedValues, getSnapshot);
 
 }
 
@@ -87,6 +113,143 @@ export function useComponentLifecycleMethods(componentDidMountHandler, component
 }
 
 
+// a function that returns wether or not the component is mounted, ie. before setting state once async work is done
+export function useIsMounted(){
+
+  const isMountedRef = useMountedRef();
+
+  return useCallback(() => isMountedRef.current, []);
+
+}
+
+
+// a ref of wether or not the component is mounted
+export function useMountedRef(){
+
+  const isMountedRef = useRef(false);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  return isMountedRef;
+
+}
+
+
+// async component did mount, the handler is called once per mount with an AbortSignal that is aborted on unmount.
+//  The handler can resolve with the component will unmount handler, which is called on unmount if it resolved by then
+export function useComponentDidMountAsync(componentDidMountHandler){
+
+  useMountEffect(() => {
+
+    const controller = new AbortController();
+    let componentWillUnMountHandler = null;
+
+    Promise.resolve(componentDidMountHandler(controller.signal))
+      .then(handler => {
+        componentWillUnMountHandler = handler;
+      })
+      .catch(error => {
+        // the work was cancelled by the unmount
+        if(!controller.signal.aborted)
+          throw error;
+      });
+
+    return () => {
+      controller.abort();
+      componentWillUnMountHandler instanceof Function && componentWillUnMountHandler();
+    };
+
+  });
+
+}
+
+
+// calls the handler with the previous and current trackedValues after every render but the first, along with the snapshot of the
+//  DOM taken while rendering when there is a getSnapshot, in which case the handler runs in the layout phase
+function useUpdateEffect(handler, trackedValues, getSnapshot){
+
+  const renderCommit = useRenderCommit(trackedValues);
+
+  // the latest point before the commit that a hook can run at. The snapshot of a render that is thrown away is thrown away with it
+  const snapshot = getSnapshot && renderCommit.hasCommitted ? getSnapshot(renderCommit.committedValues, trackedValues) : undefined;
+
+  const useEffectHook = getSnapshot ? useIsomorphicLayoutEffect : useEffect;
+
+  useEffectHook(() => {
+    const prevCommit = renderCommit.commit();
+    prevCommit && handler && handler(prevCommit.values, trackedValues, snapshot);
+  });
+
+}
+
+
+// the values of the last committed render. commit() is called from an effect of this render, it records the values of this render as
+//  committed and returns the { values } that were committed before, null on the first commit, or false when the effects of this
+//  render run again, as StrictMode runs the effects of the first render twice which is not another render
+function useRenderCommit(values){
+
+  // identifies this render
+  const render = {};
+
+  const committedRef = useRef(null);
+
+  return {
+    hasCommitted: committedRef.current !== null,
+    committedValues: committedRef.current ? committedRef.current.values : undefined,
+    commit(){
+      const prevCommitted = committedRef.current;
+      if(prevCommitted && prevCommitted.render === render)
+        return false;
+
+      committedRef.current = { render, values };
+      return prevCommitted && { values: prevCommitted.values };
+    }
+  };
+
+}
+
+
+// runs the effect once per mount, and its cleanup once on unmount. StrictMode unmounts and mounts again right after the first
+//  mount, within the same commit, so the cleanup waits for a microtask to know wether the component actually unmounted.
+//  isLayoutEffect runs the effect before the first paint
+function useMountEffect(effect, isLayoutEffect){
+
+  // the mount that the effect ran for, along with its cleanup
+  const mountRef = useRef(null);
+
+  const useEffectHook = isLayoutEffect ? useIsomorphicLayoutEffect : useEffect;
+
+  useEffectHook(() => {
+
+    if(!mountRef.current)
+      mountRef.current = { isMounted: true, cleanup: effect() };
+
+    const mount = mountRef.current;
+    mount.isMounted = true;
+
+    return () => {
+      mount.isMounted = false;
+
+      queueMicrotask(() => {
+        if(mount.isMounted)
+          return;
+
+        mountRef.current = null;
+        mount.cleanup instanceof Function && mount.cleanup();
+      });
+    };
+
+  }, []);
+
+}
+
+
 // force re render this component
 function useForceUpdate(){
     const [value, setValue] = useState(0);
@@ -121,507 +284,3584 @@ export function usePrevState(value){
 }
 
 
-// calls the handler only when the values have been updated (not via the intial render)
-export function useValuesUpdated(handler, values){
+// calls the handler only when the values have been updated (not via the intial render), with the indexes of the values that changed.
+//  options.compare is how the values are compared: "shallow", "deep" or a function (prevValue, value) => isEqual. Defaults to the
+//  Object.is comparison of react, so that objects and arrays that are created on every render are always updated
+export function useValuesUpdated(handler, values, options){
+
+  const isEqual = getComparator(options && options.compare);
 
-  // whether this is the first or a subsequent render
-  const isSubsequentRender = useRef(false);
+  // the values of the last update, as the effect only commits when the values changed
+  const renderCommit = useRenderCommit(values);
 
   useEffect(() => {
-    if(isSubsequentRender.current)
-      handler();
-    else
-      isSubsequentRender.current = true;
-  }, values);
+    const prevCommit = renderCommit.commit();
+    prevCommit && handler(getChangedKeys(prevCommit.values, values, isEqual));
+  }, useComparedDeps(values, isEqual));
 
 }
 
 
-// calls the handler with the previous value's 'value' when the value has been updated
+// calls the handler with the previous value's 'value' when the value has been updated, along with the keys of the value that changed
 // if no withValue is is provided, then prevValue wil default to value
-export function useValueUpdatedWithPrevious(valueDidUpdateHandler, value, withValue){
+//  options.compare is the same as for useValuesUpdated. The keys are compared with Object.is when the value is compared "shallow"
+export function useValueUpdatedWithPrevious(valueDidUpdateHandler, value, withValue, options){
+
+  const compare = options && options.compare;
 
-  const prevValue = usePrevious(withValue || value);
+  // the value when it was last updated
+  const prevRef = useRef({ value, withValue: withValue || value });
+
+  useValuesUpdated(() => {
+    const prev = prevRef.current;
+    prevRef.current = { value, withValue: withValue || value };
 
-  useValuesUpdated(() => valueDidUpdateHandler(prevValue), [value]);
+    valueDidUpdateHandler(prev.withValue, getChangedKeys(prev.value, value, getComparator(compare === "shallow" ? undefined : compare)));
+  }, [value], options);
 
 }
 
 
-// for using a state object, similar to the way setState works in class components.
-// Note* this is technicaly not *merging* the state values like the setState of class components does. We really
-//  are just *replacing* the old state object with the new one.
-export function useMergeState(initialState) {
+// useEffect that compares its dependencies deeply, or with options.compare ("shallow", "deep" or a function) instead
+export function useDeepCompareEffect(effect, deps, options){
 
-  const [state, setState] = useState(initialState);
+  const isEqual = getComparator((options && options.compare) || "deep"); // default to "deep"
 
-  const setMergedState = newState =>
-    setState(prevState => Object.assign({}, prevState, newState)
-  );
+  useEffect(effect, useComparedDeps(deps, isEqual));
 
-  return [state, setMergedState];
 }
 
 
-/* ------- MISC ------- */
+// useMemo that compares its dependencies deeply, or with options.compare ("shallow", "deep" or a function) instead
+export function useDeepCompareMemo(factory, deps, options){
 
-export const useLocalStorage = (key, initialValue) => {
-  const item = window.localStorage.getItem(key);
-  const [value, setValue] = useState(item || initialValue);
+  const isEqual = getComparator((options && options.compare) || "deep"); // default to "deep"
 
-  useEffect(() => {
-    window.localStorage.setItem(key, value);
-  }, [value, key]);
+  return useMemo(factory, useComparedDeps(deps, isEqual));
 
-  return [value, setValue];
-};
+}
 
 
-export const useMedia = () => {
-  const [isMobile, setMobile] = useState(false);
+// dependencies for react that only change when isEqual considers one of the values to have changed
+function useComparedDeps(values, isEqual){
 
-  const onResize = () => {
-    const isMobile = window.innerWidth < 768;
-    setMobile(isMobile);
-  };
+  const ref = useRef({ values, version: 0 });
 
-  useLayoutEffect(() => {
-    window.addEventListener("resize", onResize);
-    return () => {
-      window.removeEventListener("resize", onResize);
-    };
-  }, []);
+  const { values: prevValues } = ref.current;
+  const hasChanged = !values || !prevValues || values.length !== prevValues.length ||
+    values.some((value, index) => !isEqual(prevValues[index], value));
 
-  return { isMobile };
-};
+  if(hasChanged && values !== prevValues)
+    ref.current = { values, version: ref.current.version + 1 };
 
+  // without values the effect runs on every render, like it does for react
+  return values ? [ref.current.version] : undefined;
 
-export const useScroll = () => {
-  const [isScrolled, setIsScrolled] = useState(false);
+}
 
-  const onScroll = () => {
-    const scrollTop = window !== undefined ? window.pageYOffset : 0;
 
-    setIsScrolled(scrollTop > 0);
-  };
+// the isEqual(a, b) function of a compare option
+function getComparator(compare){
 
-  useEffect(() => {
-    // Learn more about how { passive: true } improves scrolling performance
-    // https://developer.mozilla.org/en-US/docs/Web/API/EventTarget/addEventListener#Improving_scrolling_performance_with_passive_listeners
-    window.addEventListener("scroll", onScroll, { passive: true });
-    return () => {
-      window.removeEventListener("scroll", onScroll, { passive: true });
-    };
-  }, []);
+  if(compare instanceof Function)
+    return compare;
 
-  return { isScrolled };
-};
+  switch (compare){
+    case "shallow":
+      return shallowEqual;
+    case "deep":
+      return deepEqual;
+    default:
+      return Object.is;
+  }
 
+}
 
-export const useScrollFreeze = (isMenuOpen) => {
-  useLayoutEffect(() => {
-    const original = window.getComputedStyle(document.body).overflow;
 
-    if (isMenuOpen) {
-      document.body.style.overflow = "hidden";
-    }
+// the keys of the objects or arrays whose values are not equal. Indexes for arrays, like useTraceUpdate computes changed props
+function getChangedKeys(prevValue, value, isEqual){
 
-    return () => {
-      document.body.style.overflow = original;
-    };
-  }, [isMenuOpen]);
-};
+  if(!isObject(prevValue) || !isObject(value))
+    return [];
 
+  const keys = Array.from(new Set([...Object.keys(prevValue), ...Object.keys(value)]))
+    .filter(key => !isEqual(prevValue[key], value[key]));
 
-export const useTheme = () => {
-  const [theme, setTheme] = useLocalStorage("theme", "dark");
+  return Array.isArray(value) ? keys.map(Number) : keys;
 
-  const toggleTheme = () =>
-    setTheme((prevTheme) => (prevTheme === "dark" ? "light" : "dark"));
+}
 
-  useEffect(() => {
-    document.body.className = "";
-    document.body.classList.add(theme);
-  }, [theme]);
 
-  return [theme, toggleTheme];
-};
+// equal when the values are the same, or objects with the same keys whose values are the same
+function shallowEqual(a, b){
 
+  if(Object.is(a, b))
+    return true;
 
-export const useToggle = (initialState) => {
-  const [isToggled, setToggle] = useState(initialState);
-  const toggle = () => setToggle((prevState) => !prevState);
-  // return [isToggled, toggle];
-  return { isToggled, setToggle, toggle };
-};
+  if(!isObject(a) || !isObject(b) || Array.isArray(a) !== Array.isArray(b))
+    return false;
 
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
 
-// provides mouse/touch events with customization such as dragging, double click, hold etc.
-export function useMouseEvents(eventCallbacks, targets, config){
+}
 
-  const {
-    onSingleClickCallback,
-    onDoubleClickCallback,
-    onMouseHoldCallback,
-    onMouseHoldEndCallback,
-    onDragCallback,
-    onDragStartCallback,
-    onDragEndCallback,
-    onDragHoldCallback,
-    onDragHoldEndCallback,
-    onMouseDownCallback,
-    onMouseUpCallback
-  } = eventCallbacks;
 
-  // the maximum duration after a single click that qualifies a second click as a double click event
-  const doubleClickDuration = (config && config.doubleClickDuration) || 250; // default to 250
+// equal when the values are the same, or objects, arrays, dates, maps or sets whose contents are deeply equal
+function deepEqual(a, b){
 
-  // the minimum duration that mouse must be held down in order to trigger a mouse down (ie hold) event
-  const mouseHoldDuration = (config && config.mouseHoldDuration) || 750; // default to 750
+  if(Object.is(a, b))
+    return true;
 
-  // the minimum duration that mouse must be held down in same position while dragging in order to trigger a drag hold event
-  const dragHoldDuration = (config && config.dragHoldDuration) || 750; // default to 750
+  if(!isObject(a) || !isObject(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b))
+    return false;
 
-  // wether or not a drag event is to be prevented after a hold event has occured
-  const preventDragIfHeld = (config && config.preventDragIfHeld) || false; // default to false
+  if(a instanceof Date)
+    return a.getTime() === b.getTime();
 
-  // if the mouse down position does not equal the mouse up position, then that does not qualify for a mouse click
-  // This will help differentiate between a drag end and click event
-  const preventClickIfPosChange =
-    (config && config.preventClickIfPosChange) ||
-    (onDragEndCallback && true); // default to true if the on drag end callback is handled
+  if(a instanceof Map)
+    return a.size === b.size && Array.from(a).every(([key, value]) => b.has(key) && deepEqual(value, b.get(key)));
 
-  const [state, setState] = useState({
-    mouseDown: {
-      isDown: false,
-      nativeEvent: null,
-      time: null,
-    },
-    mouseHold: {
-      isHeld: false,
-      nativeEvent: null,
-    },
-    mouseDrag: {
-      isDragged: false,
-      nativeEvent: null,
-      dragX: null,
-      dragY: null
-    },
-    mouseDragHold: {
-      isDragHeld: false,
-      nativeEvent: null,
-    },
-    click: {
-      count: 0,
-      time: null
-    }
-  });
+  if(a instanceof Set)
+    return a.size === b.size && Array.from(a).every(value => b.has(value));
 
-  /* refs to event handlers in order to remove the same event listener through different renders */
-  const onMouseMoveRef = useRef(onMouseMove);
-  const onMouseUpRef = useRef(onMouseUp);
-  const onMouseLeaveRef = useRef(onMouseLeave);
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
 
-  const doubleClickTimoutRef = useRef(null);
-  const mouseHoldTimeoutRef = useRef(null);
-  const dragHoldTimeoutRef = useRef(null);
+}
 
-  // the event names depending on wether they are mouse or touch events ie. mousemove for mouse and touchmove for touch
-  const eventTypes = useRef(null);
 
-  // wether or not to listen to the native move events.
-  //  If any of the drag events are registered then it is self explanatory to listen to move events.
-  const listenForMoveEvents = onDragStartCallback || onDragCallback || onDragEndCallback || onDragHoldCallback || onDragHoldEndCallback;
+function isObject(value){
 
+  return value !== null && typeof value === "object";
 
-  /* SIDE EFFECT HANDLERS */
+}
 
 
-  useEffect(() => {
+// for using a state object, similar to the way setState works in class components.
+// Note* this is technicaly not *merging* the state values like the setState of class components does. We really
+//  are just *replacing* the old state object with the new one. Use useDeepState to actually merge nested values.
+export function useMergeState(initialState) {
 
-    if(targets){
-      if(!Array.isArray(targets))
-        targets = [targets];
+  const [state, setState] = useState(initialState);
 
-      targets.forEach(target => {
-        addEventListeners(target);
-      });
-    }
-    else{
-      console.error("useMouseEvents requires a dom target value as the second argument");
-    }
-  });
+  const setMergedState = newState =>
+    setState(prevState => Object.assign({}, prevState, newState)
+  );
 
+  return [state, setMergedState];
+}
 
-  // isDown updated
-  useValueUpdatedWithPrevious(
-    prevMouseDown => {
 
-      const { isDown, nativeEvent, time } = state.mouseDown; // if isDown, then event is a mousedown event object, otherwise it is a mouseup event object
-      if(isDown){ // mouse down event
-        // console.log("MOUSE DOWN");
-        onMouseDownCallback && onMouseDownCallback(nativeEvent);
+// a state object that can be updated at a path, deeply merged, and undone. Returns [state, actions] where the actions are:
+//    - set(path, value) sets the value at a path, ie. set("a.b.c", 1) or set(["items", 0], item). value can be a function of the
+//      previous value at the path
+//    - merge(partialState) deeply merges objects into the state, other values (including arrays) are replaced
+//    - replace(state), reset() back to the initial state, undo(), redo(), canUndo, canRedo
+//    - getActionLog() the list of every action when logActions is set, and replay(actionLog) which resets the state and applies
+//      the actions again
+//  options: { middleware, historyLimit, logActions } where middleware is a list of (action, state, next) => next(action), which can
+//  change or drop actions. next returns the new state. See createStateLogger and createStateValidator. The action log is only kept
+//  with logActions, as it grows with every action for as long as the component is mounted
+export function useDeepState(initialState, options){
+
+  // read by the actions, so that they are the same on every render
+  const optionsRef = useRef();
+  optionsRef.current = {
+    middleware: (options && options.middleware) || [], // default to no middleware
+    historyLimit: (options && options.historyLimit) || 100, // default to 100
+    logActions: (options && options.logActions) || false // default to false
+  };
 
-        listenForMoveEvents && document.addEventListener(eventTypes.current.move, onMouseMoveRef.current);
-        document.addEventListener(eventTypes.current.up, onMouseUpRef.current);
+  const initialStateRef = useRef(initialState);
 
-        if(onMouseHoldCallback){
-          nativeEvent.target.addEventListener("mouseleave", onMouseLeaveRef.current);
-          mouseHoldTimeoutRef.current = setTimeout(() => {
-            nativeEvent.target.removeEventListener("mouseleave", onMouseLeaveRef.current);
-            setState(prevState => ({ ...prevState, mouseHold: { isHeld: true, nativeEvent } }));
-          }, mouseHoldDuration);
-        }
-      }
-      else{ // mouse up event
-        // console.log("MOUSE UP");
-        onMouseUpCallback && onMouseUpCallback(nativeEvent);
+  // the source of truth of the history, the state only renders it. Actions read the latest history before the next render
+  const historyRef = useRef({ past: [], present: initialState, future: [] });
+  const [history, setHistory] = useState(historyRef.current);
 
-        // did the mouse come up on the same target that the mouse went down on
-        const clickedSameTarget = prevMouseDown.nativeEvent.target === nativeEvent.target;
+  const actionLogRef = useRef([]);
 
-        // if mouse is held or dragged, then dont register a click event
-        const isClicked = !state.mouseHold.isHeld && !state.mouseDrag.isDragged && clickedSameTarget;
 
-        setState(prevState => ({
-          ...prevState,
+  function applyAction(action){
 
-          // if any of these events were active, they must be disabled now
-          mouseHold: { isHeld: false, nativeEvent },
-          mouseDrag: { isDragged: false, nativeEvent, dragX: null, dragY: null },
-          mouseDragHold: { isDragHeld: false, nativeEvent },
+    historyRef.current = getNextStateHistory(historyRef.current, action, initialStateRef.current, optionsRef.current.historyLimit);
+    optionsRef.current.logActions && actionLogRef.current.push({ ...action, time: Date.now() });
+    setHistory(historyRef.current);
 
-          click: { count: prevState.click.count + isClicked, nativeEvent, time },
+    return historyRef.current.present;
+
+  }
+
+
+  // passes the action through the middleware before applying it
+  function dispatch(action){
+
+    const { middleware } = optionsRef.current;
+
+    const next = (index, action) => index < middleware.length ?
+      middleware[index](action, historyRef.current.present, nextAction => next(index + 1, nextAction)) :
+      applyAction(action);
+
+    return next(0, action);
+
+  }
+
+
+  const actionsRef = useRef(null);
+  if(!actionsRef.current){
+    actionsRef.current = {
+      set: (path, value) => {
+        // resolve functions, so that the action log only contains values
+        const resolvedValue = value instanceof Function ? value(getAtPath(historyRef.current.present, toPath(path))) : value;
+        return dispatch({ type: "set", path: toPath(path), value: resolvedValue });
+      },
+      merge: (partialState) => dispatch({ type: "merge", value: partialState }),
+      replace: (state) => dispatch({ type: "replace", value: state }),
+      reset: () => dispatch({ type: "reset" }),
+      undo: () => dispatch({ type: "undo" }),
+      redo: () => dispatch({ type: "redo" }),
+      getActionLog: () => actionLogRef.current.slice(),
+      replay: (actionLog) => {
+        historyRef.current = { past: [], present: initialStateRef.current, future: [] };
+        actionLogRef.current = [];
+
+        // the middleware already ran when the actions were logged
+        actionLog.forEach(({ time, ...action }) => {
+          historyRef.current = getNextStateHistory(historyRef.current, action, initialStateRef.current, optionsRef.current.historyLimit);
+          optionsRef.current.logActions && actionLogRef.current.push({ ...action, time });
+        });
+
+        setHistory(historyRef.current);
+        return historyRef.current.present;
+      }
+    };
+  }
+
+
+  return [history.present, { ...actionsRef.current, canUndo: history.past.length > 0, canRedo: history.future.length > 0 }];
+
+}
+
+
+// a useDeepState middleware that logs every action along with the state before and after it
+export const createStateLogger = (log) => {
+
+  const logAction = log || console.log; // default to console.log
+
+  return (action, state, next) => {
+    const nextState = next(action);
+    logAction(action.type, action, { prevState: state, nextState });
+    return nextState;
+  };
+
+};
+
+
+// a useDeepState middleware that drops the actions that would make the state invalid. validate(nextState, action) returns true
+//  when the state is valid, onInvalid(action, nextState) gets called with the dropped actions. Undo, redo and reset are never dropped,
+//  they go back to states that are already known
+export const createStateValidator = (validate, onInvalid) => {
+
+  return (action, state, next) => {
+    if(action.type === "undo" || action.type === "redo" || action.type === "reset")
+      return next(action);
+
+    const nextState = reduceDeepState(state, action);
+
+    if(!validate(nextState, action)){
+      onInvalid && onInvalid(action, nextState);
+      return state;
+    }
+
+    return next(action);
+  };
+
+};
+
+
+// the history of useDeepState after the action
+function getNextStateHistory(history, action, initialState, historyLimit){
+
+  const { past, present, future } = history;
+
+  switch (action.type){
+    case "undo":
+      if(!past.length)
+        return history;
+      return { past: past.slice(0, -1), present: past[past.length - 1], future: [present, ...future] };
+
+    case "redo":
+      if(!future.length)
+        return history;
+      return { past: [...past, present], present: future[0], future: future.slice(1) };
+
+    default: {
+      const nextPresent = action.type === "reset" ? initialState : reduceDeepState(present, action);
+      if(nextPresent === present)
+        return history;
+
+      return { past: [...past, present].slice(-historyLimit), present: nextPresent, future: [] };
+    }
+  }
+
+}
+
+
+// the state after a set, merge or replace action of useDeepState
+function reduceDeepState(state, action){
+
+  switch (action.type){
+    case "set":
+      return setAtPath(state, action.path, action.value);
+    case "merge":
+      return deepMerge(state, action.value);
+    case "replace":
+      return action.value;
+    default:
+      return state;
+  }
+
+}
+
+
+// "a.b.0" -> ["a", "b", "0"]
+function toPath(path){
+
+  return Array.isArray(path) ? path : String(path).split(".");
+
+}
+
+
+function getAtPath(object, path){
+
+  return path.reduce((value, key) => value === undefined || value === null ? undefined : value[key], object);
+
+}
+
+
+// a copy of the object with the value at the path. The objects along the path are copied, missing ones are created as an array
+//  when the key is an index and as an object otherwise
+function setAtPath(object, path, value){
+
+  if(!path.length)
+    return value;
+
+  const [key, ...restPath] = path;
+  const current = object === undefined || object === null ? (isIndex(key) ? [] : {}) : object;
+  const nextValue = setAtPath(current[key], restPath, value);
+
+  if(current[key] === nextValue && key in current)
+    return current;
+
+  const copy = Array.isArray(current) ? current.slice() : { ...current };
+  copy[key] = nextValue;
+  return copy;
+
+}
+
+
+function isIndex(key){
+
+  return typeof key === "number" || /^\d+$/.test(key);
+
+}
+
+
+// merges plain objects recursively, any other value of source replaces the value of target
+function deepMerge(target, source){
+
+  if(!isPlainObject(target) || !isPlainObject(source))
+    return source;
+
+  const merged = { ...target };
+  Object.keys(source).forEach(key => {
+    merged[key] = deepMerge(target[key], source[key]);
+  });
+
+  return merged;
+
+}
+
+
+function isPlainObject(value){
+
+  return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+
+}
+
+
+// the values, errors and submission of a form. Fields are named by their path in the values, ie. "address.city" or "items.0.name".
+//  Returns { values, errors, touched, dirty, isSubmitting, register, handleSubmit, setFieldValue, fieldArray, validateForm, reset }
+//    - register(name, { type }) the { name, value, onChange, onBlur } props of an input, or { name, checked, ... } for a "checkbox".
+//      onChange takes either an event or the value
+//    - handleSubmit(onSubmit) a submit handler that validates every field, and calls onSubmit(values) when there are no errors
+//    - fieldArray(name) the { fields, append, insert, remove, move } of an array value. The errors and touched fields of the items
+//      move along with them
+//    - reset(values) back to the initial values, or to new initial values
+//  errors, touched and dirty are objects of field names. options: { initialValues, validate, schema, validateDelay }
+//    - validate(values) returns an object of the errors by field name, schema is an object of (value, values) => error by field name.
+//      Both can return promises. Fields are validated validateDelay ms after they stop changing, on blur and on submit
+export function useForm(options){
+
+  const validateDelay = options && options.validateDelay !== undefined ? options.validateDelay : 300; // default to 300
+
+  const validatorsRef = useRef();
+  validatorsRef.current = { validate: options && options.validate, schema: (options && options.schema) || {} };
+
+  const initialValuesRef = useRef((options && options.initialValues) || {});
+
+  const [state, setState] = useMergeState({ values: initialValuesRef.current, errors: {}, touched: {}, isSubmitting: false });
+
+  // the latest values, errors and touched fields, for changes and validations before a render
+  const valuesRef = useRef(state.values);
+  const errorsRef = useRef(state.errors);
+  const touchedRef = useRef(state.touched);
+
+  // every field that has been registered or changed, in order to validate them on submit and know which ones are dirty
+  const fieldNamesRef = useRef(new Set());
+
+  // the fields that changed since they were last validated
+  const unvalidatedFieldsRef = useRef(new Set());
+
+  // the latest validation of every field. Results of older validations are ignored
+  const fieldValidationsRef = useRef(new Map());
+
+
+  // validate the fields and update their errors once every validator resolved. Resolves with wether or not the fields are valid.
+  //  isValidatingForm also validates the fields that only the validate function has errors for
+  function validateFields(names, isValidatingForm){
+
+    const values = valuesRef.current;
+    const { validate, schema } = validatorsRef.current;
+
+    const validation = {};
+    names.forEach(name => fieldValidationsRef.current.set(name, validation));
+
+    // a validator that throws or rejects is an error of the fields it validates
+    const getErrorMessage = error => (error && error.message) || String(error);
+
+    return Promise.all([
+      Promise.resolve()
+        .then(() => validate ? validate(values) : {})
+        .catch(error => names.reduce((formErrors, name) => ({ ...formErrors, [name]: getErrorMessage(error) }), {})),
+      ...names.map(name => Promise.resolve()
+        .then(() => schema[name] ? schema[name](getAtPath(values, toPath(name)), values) : undefined)
+        .catch(getErrorMessage)
+      )
+    ]).then(([formErrors, ...fieldErrors]) => {
+
+      const errors = { ...errorsRef.current };
+      let isValid = true;
+
+      if(isValidatingForm && formErrors){
+        Object.keys(formErrors).forEach(name => {
+          if(!names.includes(name)){
+            names.push(name);
+            fieldValidationsRef.current.set(name, validation);
+          }
+        });
+      }
+
+      names.forEach((name, index) => {
+        const error = fieldErrors[index] || (formErrors && formErrors[name]);
+        isValid = isValid && !error;
+
+        // a newer validation of the field started in the meantime
+        if(fieldValidationsRef.current.get(name) !== validation)
+          return;
+
+        fieldValidationsRef.current.delete(name);
+        error ? (errors[name] = error) : delete errors[name];
+      });
+
+      errorsRef.current = errors;
+      setState({ errors });
+
+      return isValid;
+    });
+
+  }
+
+
+  const validateChangedFields = useDebouncedCallback(() => {
+
+    const names = Array.from(unvalidatedFieldsRef.current);
+    unvalidatedFieldsRef.current.clear();
+
+    return names.length ? validateFields(names) : Promise.resolve(true);
+
+  }, validateDelay);
+
+
+  function setFieldValue(name, value){
+
+    const values = setAtPath(valuesRef.current, toPath(name), value instanceof Function ? value(getAtPath(valuesRef.current, toPath(name))) : value);
+
+    valuesRef.current = values;
+    fieldNamesRef.current.add(name);
+    unvalidatedFieldsRef.current.add(name);
+    setState({ values });
+
+    validateChangedFields();
+
+  }
+
+
+  function setFieldTouched(name){
+
+    if(!touchedRef.current[name]){
+      touchedRef.current = { ...touchedRef.current, [name]: true };
+      setState({ touched: touchedRef.current });
+    }
+
+    validateChangedFields.flush();
+
+  }
+
+
+  function register(name, registerOptions){
+
+    fieldNamesRef.current.add(name);
+
+    const value = getAtPath(state.values, toPath(name));
+    const isCheckbox = registerOptions && registerOptions.type === "checkbox";
+
+    const onChange = event => {
+      const target = event && event.target;
+      setFieldValue(name, !target ? event : target.type === "checkbox" ? target.checked : target.value);
+    };
+
+    return isCheckbox ?
+      { name, checked: !!value, onChange, onBlur: () => setFieldTouched(name) } :
+      { name, value: value === undefined || value === null ? "" : value, onChange, onBlur: () => setFieldTouched(name) };
+
+  }
+
+
+  // validate every field that has been registered or has a validator
+  function validateForm(){
+
+    validateChangedFields.cancel();
+    unvalidatedFieldsRef.current.clear();
+
+    const names = new Set([...fieldNamesRef.current, ...Object.keys(validatorsRef.current.schema)]);
+    return validateFields(Array.from(names), true);
+
+  }
+
+
+  const handleSubmit = onSubmit => event => {
+
+    event && event.preventDefault && event.preventDefault();
+
+    setState({ isSubmitting: true });
+
+    return validateForm()
+      .then(isValid => {
+        // show the errors of every field
+        const touched = {};
+        fieldNamesRef.current.forEach(name => touched[name] = true);
+        Object.keys(errorsRef.current).forEach(name => touched[name] = true);
+        touchedRef.current = touched;
+        setState({ touched });
+
+        return isValid && onSubmit && onSubmit(valuesRef.current);
+      })
+      .finally(() => setState({ isSubmitting: false }));
+
+  };
+
+
+  function fieldArray(name){
+
+    const fields = getAtPath(state.values, toPath(name)) || [];
+    const update = getNextFields => setFieldValue(name, (prevFields) => getNextFields(prevFields || []));
+
+    return {
+      fields,
+      append: value => update(prevFields => [...prevFields, value]),
+      insert: (index, value) => {
+        reindexFieldArray(name, fieldIndex => fieldIndex < index ? fieldIndex : fieldIndex + 1);
+        update(prevFields => [...prevFields.slice(0, index), value, ...prevFields.slice(index)]);
+      },
+      remove: index => {
+        reindexFieldArray(name, fieldIndex => fieldIndex === index ? -1 : fieldIndex < index ? fieldIndex : fieldIndex - 1);
+        update(prevFields => prevFields.filter((field, fieldIndex) => fieldIndex !== index));
+      },
+      move: (from, to) => {
+        reindexFieldArray(name, fieldIndex => {
+          if(fieldIndex === from)
+            return to;
+          if(from < to && fieldIndex > from && fieldIndex <= to)
+            return fieldIndex - 1;
+          if(from > to && fieldIndex >= to && fieldIndex < from)
+            return fieldIndex + 1;
+          return fieldIndex;
+        });
+        update(prevFields => {
+          const nextFields = prevFields.slice();
+          nextFields.splice(to, 0, nextFields.splice(from, 1)[0]);
+          return nextFields;
+        });
+      }
+    };
+
+  }
+
+
+  // the errors and touched fields of the items of an array are named by their index, ie. "items.1.name". Move them along with
+  //  the items and drop those of removed items. getNextIndex returns the new index of an item, or -1 if it was removed
+  function reindexFieldArray(name, getNextIndex){
+
+    const prefix = `${name}.`;
+
+    // the name of the field after reindexing, null if its item was removed. undefined if the field is not inside of an item
+    const getNextName = fieldName => {
+      const match = fieldName.startsWith(prefix) && /^(\d+)(.*)$/.exec(fieldName.slice(prefix.length));
+      if(!match)
+        return undefined;
+
+      const nextIndex = getNextIndex(Number(match[1]));
+      return nextIndex === -1 ? null : `${prefix}${nextIndex}${match[2]}`;
+    };
+
+    const reindexNames = names => names.reduce((nextNames, fieldName) => {
+      const nextName = getNextName(fieldName);
+      nextName !== null && nextNames.push(nextName === undefined ? fieldName : nextName);
+      return nextNames;
+    }, []);
+
+    const reindexObject = object => Object.keys(object).reduce((nextObject, fieldName) => {
+      const nextName = getNextName(fieldName);
+      nextName !== null && (nextObject[nextName === undefined ? fieldName : nextName] = object[fieldName]);
+      return nextObject;
+    }, {});
+
+    fieldNamesRef.current = new Set(reindexNames(Array.from(fieldNamesRef.current)));
+    unvalidatedFieldsRef.current = new Set(reindexNames(Array.from(unvalidatedFieldsRef.current)));
+
+    // the pending validations of the items would update the errors of their previous index, validate them again instead
+    fieldValidationsRef.current.forEach((validation, fieldName) => {
+      const nextName = getNextName(fieldName);
+      if(nextName === undefined)
+        return;
+
+      fieldValidationsRef.current.delete(fieldName);
+      nextName !== null && unvalidatedFieldsRef.current.add(nextName);
+    });
+
+    errorsRef.current = reindexObject(errorsRef.current);
+    touchedRef.current = reindexObject(touchedRef.current);
+    setState({ errors: errorsRef.current, touched: touchedRef.current });
+
+  }
+
+
+  function reset(nextInitialValues){
+
+    if(nextInitialValues !== undefined)
+      initialValuesRef.current = nextInitialValues;
+
+    validateChangedFields.cancel();
+    unvalidatedFieldsRef.current.clear();
+    fieldValidationsRef.current.clear();
+
+    valuesRef.current = initialValuesRef.current;
+    errorsRef.current = {};
+    touchedRef.current = {};
+    setState({ values: initialValuesRef.current, errors: {}, touched: {}, isSubmitting: false });
+
+  }
+
+
+  // the fields whose value differs from their initial value
+  const dirty = {};
+  fieldNamesRef.current.forEach(name => {
+    if(getAtPath(state.values, toPath(name)) !== getAtPath(initialValuesRef.current, toPath(name)))
+      dirty[name] = true;
+  });
+
+
+  return {
+    values: state.values,
+    errors: state.errors,
+    touched: state.touched,
+    dirty,
+    isSubmitting: state.isSubmitting,
+    register,
+    handleSubmit,
+    setFieldValue,
+    fieldArray,
+    validateForm,
+    reset
+  };
+
+}
+
+
+// the storage of usePersistentState instances that use the "memory" storage. Shared by every instance on the page, but not persisted
+const memoryStorage = {
+  items: new Map(),
+  getItem(key){
+    return this.items.has(key) ? this.items.get(key) : null;
+  },
+  setItem(key, value){
+    this.items.set(key, String(value));
+  },
+  removeItem(key){
+    this.items.delete(key);
+  }
+};
+
+// the listeners of every mounted usePersistentState instance by storage and key, in order to keep the instances of a key in sync
+const persistentStateListeners = new Map();
+
+// the channel that keeps the instances of a key in sync across tabs, open while an instance listens to it
+let persistentStateChannel = null;
+let persistentStateChannelListenerCount = 0;
+
+
+// useState that persists the value in localStorage, sessionStorage or memory, and keeps every instance of the same key in sync,
+//  including the instances in other tabs for localStorage.
+//  options: { storage: "local" | "session" | "memory", serializer: { stringify, parse }, version, migrate(oldValue, oldVersion), serverValue }
+export function usePersistentState(key, initialValue, options){
+
+  // where the value is stored
+  const storageType = (options && options.storage) || "local"; // default to "local"
+
+  // stringifies and parses the stored value, ie. to store values such as Date, Map or Set that JSON does not support
+  const serializer = (options && options.serializer) || JSON; // default to JSON
+
+  // the version of the stored value. When a value of an older version is read, migrate gets called with it and its version
+  const version = (options && options.version) || 0; // default to 0
+  const migrate = (options && options.migrate) || null; // default to discarding values of an older version
+
+  // the value that is rendered on the server and while hydrating, the stored value is read once mounted. Without a serverValue
+  //  the stored value is read right away, which does not match the server render
+  const serverValue = options && options.serverValue;
+  const hasServerValue = serverValue !== undefined;
+
+  const storage = getStorage();
+  const listenerKey = `${storageType}:${key}`;
+
+  // the stored (serialized) value. Updates that dont change the stored value are skipped
+  const rawValueRef = useRef(null);
+
+  const [value, setValue] = useState(() => hasServerValue ? serverValue : readValue());
+
+  // the latest value, for functional updates of multiple sets before a render
+  const valueRef = useRef(value);
+
+  // refs to the latest closures, in order for the listeners to use up to date options
+  const onRawValueChangeRef = useRef(null);
+  onRawValueChangeRef.current = onRawValueChange;
+
+
+  // hydrated with the server value, now read the stored value
+  useComponentDidMount(() => {
+    if(hasServerValue){
+      const storedValue = readValue();
+      valueRef.current = storedValue;
+      setValue(storedValue);
+    }
+  });
+
+
+  // the key was changed
+  useValuesUpdated(() => {
+    const newValue = readValue();
+    valueRef.current = newValue;
+    setValue(newValue);
+  }, [listenerKey]);
+
+
+  // listen to the updates of the other instances of the key
+  useEffect(() => {
+
+    const listener = rawValue => onRawValueChangeRef.current(rawValue);
+
+    if(!persistentStateListeners.has(listenerKey))
+      persistentStateListeners.set(listenerKey, new Set());
+    persistentStateListeners.get(listenerKey).add(listener);
+
+    // session and memory storage are not shared between tabs
+    if(storageType !== "local")
+      return () => persistentStateListeners.get(listenerKey).delete(listener);
+
+    const onStorage = event => {
+      if(event.storageArea === window.localStorage && event.key === key)
+        listener(event.newValue);
+    };
+
+    const onMessage = event => {
+      if(event.data.listenerKey === listenerKey)
+        listener(event.data.rawValue);
+    };
+
+    window.addEventListener("storage", onStorage);
+    const unsubscribeChannel = subscribePersistentStateChannel(onMessage);
+
+    return () => {
+      persistentStateListeners.get(listenerKey).delete(listener);
+      window.removeEventListener("storage", onStorage);
+      unsubscribeChannel();
+    };
+
+  }, [listenerKey]);
+
+
+  // same api as the setter of useState
+  const setPersistentValue = newValue => {
+
+    // Allow value to be a function so we have same API as useState
+    const valueToStore = newValue instanceof Function ? newValue(valueRef.current) : newValue;
+
+    valueRef.current = valueToStore;
+    setValue(valueToStore);
+
+    try{
+      const rawValue = writeValue(valueToStore);
+      if(rawValue === rawValueRef.current)
+        return;
+
+      rawValueRef.current = rawValue;
+
+      // keep the other instances of this key in sync
+      (persistentStateListeners.get(listenerKey) || []).forEach(listener => listener(rawValue));
+
+      if(storageType === "local" && persistentStateChannel)
+        persistentStateChannel.postMessage({ listenerKey, rawValue });
+    }
+    catch(error){
+      console.log(error);
+    }
+
+  };
+
+
+  // another instance of the key stored a new value
+  function onRawValueChange(rawValue){
+
+    if(rawValue === rawValueRef.current)
+      return;
+
+    rawValueRef.current = rawValue;
+
+    try{
+      const newValue = rawValue === null ? initialValue : serializer.parse(rawValue);
+      valueRef.current = newValue;
+      setValue(newValue);
+    }
+    catch(error){
+      console.log(error);
+    }
+
+  }
+
+
+  // the stored value, migrated if it was stored by an older version. initialValue if there is no stored value
+  function readValue(){
+
+    // there is no storage on the server
+    if(!storage)
+      return initialValue;
+
+    try{
+      const rawValue = storage.getItem(key);
+      rawValueRef.current = rawValue;
+
+      if(rawValue === null)
+        return initialValue;
+
+      const storedValue = serializer.parse(rawValue);
+      const storedVersion = Number(storage.getItem(`${key}:version`)) || 0;
+
+      if(storedVersion === version)
+        return storedValue;
+
+      const migratedValue = migrate ? migrate(storedValue, storedVersion) : initialValue;
+      rawValueRef.current = writeValue(migratedValue);
+
+      return migratedValue;
+    }
+    catch(error){
+      console.log(error);
+      return initialValue;
+    }
+
+  }
+
+
+  // store the value along with its version. Returns the stored value
+  function writeValue(valueToStore){
+
+    const rawValue = serializer.stringify(valueToStore);
+
+    storage.setItem(key, rawValue);
+    version && storage.setItem(`${key}:version`, version);
+
+    return rawValue;
+
+  }
+
+
+  // null on the server
+  function getStorage(){
+
+    if(!isClient)
+      return null;
+
+    switch (storageType){
+      case "session":
+        return window.sessionStorage;
+      case "memory":
+        return memoryStorage;
+      default:
+        return window.localStorage;
+    }
+
+  }
+
+
+  return [value, setPersistentValue];
+
+}
+
+
+// listens to the broadcast channel of usePersistentState, which is opened for the first listener and closed once the last one
+//  unsubscribes, so that an open channel does not keep node alive. Does nothing if BroadcastChannel is not supported
+function subscribePersistentStateChannel(onMessage){
+
+  if(typeof BroadcastChannel === "undefined")
+    return () => {};
+
+  if(!persistentStateChannel)
+    persistentStateChannel = new BroadcastChannel("usePersistentState");
+
+  persistentStateChannelListenerCount++;
+  persistentStateChannel.addEventListener("message", onMessage);
+
+  return () => {
+    persistentStateChannel.removeEventListener("message", onMessage);
+    persistentStateChannelListenerCount--;
+
+    if(!persistentStateChannelListenerCount){
+      persistentStateChannel.close();
+      persistentStateChannel = null;
+    }
+  };
+
+}
+
+
+// the open database connections of useIndexedDBState by database name
+const indexedDBConnections = new Map();
+
+
+// useState that persists the value in an IndexedDB object store, for values that are too large for localStorage such as blobs.
+//  The value is loaded asynchronously, so it is initialValue until the status is "ready". Writes are batched, only the last value
+//  set within writeDelay ms is written. Returns [value, setValue, { status: "loading" | "ready" | "error", error }]
+//  options: { writeDelay, indexedDB } where indexedDB is the IDBFactory to use, ie. a fake IndexedDB when testing in node
+export function useIndexedDBState(dbName, storeName, key, initialValue, options){
+
+  const writeDelay = (options && options.writeDelay) || 0; // default to 0
+  const indexedDBFactory = (options && options.indexedDB) || (typeof indexedDB !== "undefined" ? indexedDB : null); // default to the global indexedDB
+
+  const [state, setState] = useMergeState({ value: initialValue, status: "loading", error: null });
+
+  // the latest value, for functional updates of multiple sets before a render
+  const valueRef = useRef(initialValue);
+
+  // wether or not the value was set while loading, in which case the loaded value is outdated
+  const hasSetRef = useRef(false);
+
+  // the write that is waiting for the batch to end, along with the database, store and key it is written to
+  const pendingWriteRef = useRef(null);
+  const writeTimeoutRef = useRef(null);
+
+
+  // load the value
+  useEffect(() => {
+
+    let isCancelled = false;
+    hasSetRef.current = false;
+    setState({ status: "loading", error: null });
+
+    openIndexedDBStore(indexedDBFactory, dbName, storeName)
+      .then(db => promisifyIDBRequest(db.transaction(storeName).objectStore(storeName).get(key)))
+      .then(storedValue => {
+        if(isCancelled)
+          return;
+
+        if(hasSetRef.current){
+          setState({ status: "ready" });
+          return;
+        }
+
+        const value = storedValue === undefined ? initialValue : storedValue;
+        valueRef.current = value;
+        setState({ value, status: "ready" });
+      })
+      .catch(error => {
+        !isCancelled && setState({ status: "error", error });
+      });
+
+    // dont lose the pending write when unmounting or switching to another key
+    return () => {
+      isCancelled = true;
+      flushWrite();
+    };
+
+  }, [dbName, storeName, key]);
+
+
+  // same api as the setter of useState
+  const setIndexedDBValue = newValue => {
+
+    // Allow value to be a function so we have same API as useState
+    const valueToStore = newValue instanceof Function ? newValue(valueRef.current) : newValue;
+
+    valueRef.current = valueToStore;
+    hasSetRef.current = true;
+    setState({ value: valueToStore });
+
+    const isWriteScheduled = pendingWriteRef.current !== null;
+    pendingWriteRef.current = { dbName, storeName, key, value: valueToStore };
+
+    if(!isWriteScheduled)
+      writeTimeoutRef.current = setTimeout(flushWrite, writeDelay);
+
+  };
+
+
+  // write the pending value now
+  function flushWrite(){
+
+    clearTimeout(writeTimeoutRef.current);
+
+    const pendingWrite = pendingWriteRef.current;
+    if(!pendingWrite)
+      return;
+
+    pendingWriteRef.current = null;
+
+    openIndexedDBStore(indexedDBFactory, pendingWrite.dbName, pendingWrite.storeName)
+      .then(db => {
+        const store = db.transaction(pendingWrite.storeName, "readwrite").objectStore(pendingWrite.storeName);
+        return promisifyIDBRequest(store.put(pendingWrite.value, pendingWrite.key));
+      })
+      .catch(error => setState({ status: "error", error }));
+
+  }
+
+
+  return [state.value, setIndexedDBValue, { status: state.status, error: state.error }];
+
+}
+
+
+// a promise of the database that contains the object store. A single connection per database is shared by every useIndexedDBState
+//  instance, and opening it is serialized, so that adding a store never waits on (blocks on) another connection of this page
+function openIndexedDBStore(indexedDBFactory, dbName, storeName){
+
+  if(!indexedDBFactory)
+    return Promise.reject(new Error("useIndexedDBState: IndexedDB is not available"));
+
+  const previousConnection = indexedDBConnections.get(dbName) || Promise.resolve(null);
+
+  const connection = previousConnection
+    .catch(() => null)
+    .then(previousDb => {
+      if(previousDb && previousDb.objectStoreNames.contains(storeName))
+        return previousDb;
+
+      // the store is added by upgrading the database, which needs the previous connection to be closed
+      previousDb && previousDb.close();
+
+      return openIndexedDBDatabase(indexedDBFactory, dbName, storeName).then(db => {
+        // let other tabs upgrade the database, the connection gets opened again on next use
+        db.onversionchange = () => {
+          db.close();
+          indexedDBConnections.get(dbName) === connection && indexedDBConnections.delete(dbName);
+        };
+        return db;
+      });
+    });
+
+  connection.catch(() => {
+    indexedDBConnections.get(dbName) === connection && indexedDBConnections.delete(dbName);
+  });
+
+  indexedDBConnections.set(dbName, connection);
+
+  return connection;
+
+}
+
+
+// open the database, creating the object store if the database does not have it yet
+function openIndexedDBDatabase(indexedDBFactory, dbName, storeName, version){
+
+  return new Promise((resolve, reject) => {
+
+    const request = version ? indexedDBFactory.open(dbName, version) : indexedDBFactory.open(dbName);
+
+    // wether or not the upgrade was blocked by a connection of another tab, in which case the request already failed
+    let isBlocked = false;
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if(!db.objectStoreNames.contains(storeName))
+        db.createObjectStore(storeName);
+    };
+
+    request.onblocked = () => {
+      isBlocked = true;
+      reject(new Error(`useIndexedDBState: upgrading ${dbName} is blocked by a connection that is still open in another tab`));
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      if(isBlocked){
+        db.close();
+        return;
+      }
+
+      if(db.objectStoreNames.contains(storeName)){
+        resolve(db);
+        return;
+      }
+
+      // the database already exists without the store, which can only be created by upgrading the database to a new version
+      db.close();
+      resolve(openIndexedDBDatabase(indexedDBFactory, dbName, storeName, db.version + 1));
+    };
+
+    request.onerror = () => reject(request.error);
+
+  });
+
+}
+
+
+// a promise of the result of an IndexedDB request
+function promisifyIDBRequest(request){
+
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+}
+
+
+// the data of every useAsync key, and the request that is loading it. Shared by every useAsync instance of the key
+const asyncDataCache = new Map();
+
+
+// loads the data of an async function, ie. useAsync(signal => fetchUser(id, signal), [id]). fn is called with an AbortSignal
+//  that is aborted when the deps change, on unmount and on reload, responses of outdated calls are ignored.
+//  Returns { data, error, status: "idle" | "loading" | "success" | "error", reload } where reload() calls fn again.
+//  options: { key, staleTime, keepPrevious, retry, retryDelay, initialData, enabled }
+//    - instances with the same key share their data, and a single call while it is loading. The data of a key is reused without
+//      calling fn again until it is older than staleTime ms
+//    - keepPrevious keeps the previous data while loading, instead of the initialData
+//    - a failed call is retried retry times, after retryDelay ms, or retryDelay(attempt) ms. Defaults to a backoff from 1s to 30s
+export function useAsync(fn, deps, options){
+
+  const key = options && options.key; // default to not sharing the data
+  const enabled = !options || options.enabled !== false; // default to true
+  const initialData = options && options.initialData;
+
+  const fnRef = useRef(fn);
+  fnRef.current = fn;
+
+  // read by the calls, so that changing them does not call fn again
+  const optionsRef = useRef();
+  optionsRef.current = {
+    key,
+    initialData,
+    staleTime: (options && options.staleTime) || 0, // default to always calling fn again
+    keepPrevious: (options && options.keepPrevious) || false, // default to false
+    retry: (options && options.retry) || 0, // default to no retries
+    retryDelay: (options && options.retryDelay) || (attempt => Math.min(1000 * 2 ** attempt, 30000)) // default to 1s, 2s, 4s...
+  };
+
+  const [state, setState] = useMergeState(() => {
+    const cached = key !== undefined && asyncDataCache.get(key);
+    if(cached && cached.time !== null)
+      return { data: cached.data, error: null, status: "success" };
+
+    return { data: initialData, error: null, status: enabled ? "loading" : "idle" };
+  });
+
+  // the request of the latest call. Responses of other requests are outdated
+  const requestRef = useRef(null);
+
+
+  const load = useCallback((isReload) => {
+
+    requestRef.current && requestRef.current.abort();
+    requestRef.current = null;
+
+    const { key, initialData, staleTime, keepPrevious, retry, retryDelay } = optionsRef.current;
+
+    const request = requestAsyncData(key, signal => fnRef.current(signal), { staleTime: isReload ? 0 : staleTime, retry, retryDelay });
+
+    if(request.isCached){
+      setState({ data: request.data, error: null, status: "success" });
+      return Promise.resolve(request.data);
+    }
+
+    requestRef.current = request;
+
+    // the cached data of the key is kept while it is loaded again, like the previous data is kept with keepPrevious
+    if(request.hasCachedData)
+      setState({ data: request.cachedData, error: null, status: "loading" });
+    else
+      setState(keepPrevious ? { error: null, status: "loading" } : { data: initialData, error: null, status: "loading" });
+
+    return request.promise.then(
+      data => {
+        if(requestRef.current === request){
+          requestRef.current = null;
+          setState({ data, error: null, status: "success" });
+        }
+        return data;
+      },
+      error => {
+        if(requestRef.current === request){
+          requestRef.current = null;
+          setState({ error, status: "error" });
+        }
+      }
+    );
+
+  }, []);
+
+
+  useEffect(() => {
+
+    if(!enabled){
+      setState({ status: "idle" });
+      return;
+    }
+
+    load(false);
+
+    return () => {
+      requestRef.current && requestRef.current.abort();
+      requestRef.current = null;
+    };
+
+  }, [...(deps || []), key, enabled]);
+
+
+  const reload = useCallback(() => load(true), []);
+
+  return { data: state.data, error: state.error, status: state.status, reload };
+
+}
+
+
+// loads the response of a request with useAsync. A url of null does not load anything. Requests without a method or with the GET
+//  method share their response by url, unless options.key is given. Responses without an ok status are errors with the response
+//  as error.response. options: { responseType: "json" | "text" | "blob" | "arrayBuffer", fetch, ...the options of useAsync }
+//  where fetch is the fetch function to use, ie. a mock fetch when testing
+export function useFetch(url, init, options){
+
+  const responseType = (options && options.responseType) || "json"; // default to "json"
+  const isGetRequest = !init || !init.method || init.method.toUpperCase() === "GET";
+
+  return useAsync(
+    signal => {
+      const fetchFunction = (options && options.fetch) || fetch; // default to the global fetch
+
+      return fetchFunction(url, { ...init, signal }).then(response => {
+        if(!response.ok){
+          const error = new Error(`useFetch: ${url} responded with status ${response.status}`);
+          error.response = response;
+          throw error;
+        }
+
+        return response[responseType]();
+      });
+    },
+    [url, JSON.stringify(init || {}), responseType],
+    {
+      key: isGetRequest ? getFetchKey(url, init, responseType) : undefined,
+      ...options,
+      enabled: !!url && (!options || options.enabled !== false)
+    }
+  );
+
+}
+
+
+// the key of a GET request, instances share their data only when the response would be the same
+function getFetchKey(url, init, responseType){
+
+  let headers = init && init.headers;
+  if(typeof Headers !== "undefined" && headers instanceof Headers)
+    headers = Array.from(headers);
+
+  return JSON.stringify([url, responseType, headers || null, (init && init.credentials) || null]);
+
+}
+
+
+// removes the data of the key from the useAsync cache, or every key when no key is given
+export function clearAsyncCache(key){
+
+  key === undefined ? asyncDataCache.clear() : asyncDataCache.delete(key);
+
+}
+
+
+// the data of the key, or a request for it that is shared with every other caller of the key while it is loading.
+//  Returns either { isCached: true, data } or { promise, abort, hasCachedData, cachedData } where the shared request is aborted once
+//  every caller aborted, and cachedData is the outdated data of the key
+function requestAsyncData(key, fn, options){
+
+  const hasKey = key !== undefined;
+
+  if(hasKey && !asyncDataCache.has(key))
+    asyncDataCache.set(key, { data: undefined, time: null, request: null });
+
+  const entry = hasKey ? asyncDataCache.get(key) : { data: undefined, time: null, request: null };
+
+  if(options.staleTime && entry.time !== null && Date.now() - entry.time < options.staleTime)
+    return { isCached: true, data: entry.data };
+
+  // dedupe the calls of the key while it is loading
+  if(!entry.request){
+    const controller = new AbortController();
+    const request = { controller, callers: 0, promise: null };
+
+    request.promise = retryAsync(fn, controller.signal, options.retry, options.retryDelay)
+      .then(data => {
+        entry.data = data;
+        entry.time = Date.now();
+        return data;
+      })
+      .finally(() => {
+        if(entry.request === request)
+          entry.request = null;
+      });
+
+    entry.request = request;
+  }
+
+  const request = entry.request;
+  request.callers++;
+
+  let isAborted = false;
+
+  return {
+    promise: request.promise,
+    hasCachedData: entry.time !== null,
+    cachedData: entry.data,
+    abort(){
+      if(isAborted)
+        return;
+
+      isAborted = true;
+      request.callers--;
+
+      if(!request.callers){
+        request.controller.abort();
+        entry.request === request && (entry.request = null);
+      }
+    }
+  };
+
+}
+
+
+// calls fn until it resolves, at most retry more times after it rejects
+async function retryAsync(fn, signal, retry, retryDelay){
+
+  for(let attempt = 0; ; attempt++){
+    try {
+      return await fn(signal);
+    } catch (error) {
+      if(signal.aborted || attempt >= retry)
+        throw error;
+
+      await waitFor(typeof retryDelay === "function" ? retryDelay(attempt) : retryDelay, signal);
+    }
+  }
+
+}
+
+
+// a promise that resolves after ms, or rejects when the signal is aborted
+function waitFor(ms, signal){
+
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(resolve, ms);
+
+    signal.addEventListener("abort", () => {
+      clearTimeout(timeout);
+      reject(signal.reason);
+    }, { once: true });
+  });
+
+}
+
+
+/* ------- MISC ------- */
+
+// stores the value as a string. Use usePersistentState for values that are not strings
+//  options.serverValue is rendered on the server and while hydrating, the stored value is read once mounted
+export const useLocalStorage = (key, initialValue, options) => {
+  const serverValue = options && options.serverValue;
+  const hasServerValue = serverValue !== undefined;
+
+  const readValue = () => (isClient && window.localStorage.getItem(key)) || initialValue;
+
+  const [value, setValue] = useState(() => hasServerValue ? serverValue : readValue());
+
+  // dont overwrite the stored value with the server value before it has been read
+  const isHydrated = useRef(!hasServerValue);
+
+  useEffect(() => {
+    if(!isHydrated.current){
+      isHydrated.current = true;
+      setValue(readValue());
+      return;
+    }
+
+    window.localStorage.setItem(key, value);
+  }, [value, key]);
+
+  return [value, setValue];
+};
+
+
+// options.mobileWidth is the window width from which the window is no longer mobile
+//  options.serverValue is the isMobile value rendered on the server and while hydrating
+export const useMedia = (options) => {
+  const mobileWidth = (options && options.mobileWidth) || 768; // default to 768
+  const serverValue = (options && options.serverValue) || false; // default to false
+
+  const isMobile = useMediaQuery(`(max-width: ${mobileWidth - 0.02}px)`, { serverValue });
+
+  return { isMobile };
+};
+
+
+// wether or not the media query matches, ie. useMediaQuery("(prefers-color-scheme: dark)"). Every instance of a query shares
+//  one change listener. options.serverValue is rendered on the server and while hydrating, the query is matched once mounted
+export const useMediaQuery = (query, options) => {
+  const hasServerValue = options && options.serverValue !== undefined;
+
+  const [matches, setMatches] = useState(() => hasServerValue ? options.serverValue : matchMediaQuery(query));
+
+  useIsomorphicLayoutEffect(() => {
+    // the query changed, or the server value was rendered
+    setMatches(matchMediaQuery(query));
+
+    return subscribeToMediaQuery(query, setMatches);
+  }, [query]);
+
+  return matches;
+};
+
+
+// the active breakpoint, which is the widest breakpoint that the window is at least as wide as. null if the window is narrower
+//  than every breakpoint. breakpoints are the min widths of the breakpoints by name, ie. { sm: 640, md: 768, lg: 1024, xl: 1280 }
+//  options.serverValue is the breakpoint rendered on the server and while hydrating
+export const useBreakpoints = (breakpoints, options) => {
+  const hasServerValue = options && options.serverValue !== undefined;
+
+  // [name, width] from narrowest to widest
+  const sortedBreakpoints = Object.entries(breakpoints || { sm: 640, md: 768, lg: 1024, xl: 1280 }).sort((a, b) => a[1] - b[1]);
+  const queries = sortedBreakpoints.map(([name, width]) => `(min-width: ${width}px)`);
+
+  const getBreakpoint = () => {
+    let activeBreakpoint = null;
+    sortedBreakpoints.forEach(([name], index) => {
+      if(matchMediaQuery(queries[index]))
+        activeBreakpoint = name;
+    });
+    return activeBreakpoint;
+  };
+
+  const [breakpoint, setBreakpoint] = useState(() => hasServerValue ? options.serverValue : getBreakpoint());
+
+  useIsomorphicLayoutEffect(() => {
+    const onChange = () => setBreakpoint(getBreakpoint());
+
+    // the breakpoints changed, or the server value was rendered
+    onChange();
+
+    const unsubscribes = queries.map(query => subscribeToMediaQuery(query, onChange));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [queries.join()]);
+
+  const getIndex = name => sortedBreakpoints.findIndex(([breakpointName]) => breakpointName === name);
+  const activeIndex = getIndex(breakpoint); // -1 if narrower than every breakpoint
+
+  // the window is at least as wide as the breakpoint
+  const up = name => activeIndex >= getIndex(name);
+
+  // the window is narrower than the breakpoint
+  const down = name => activeIndex < getIndex(name);
+
+  // the window is at least as wide as the from breakpoint and narrower than the to breakpoint
+  const between = (from, to) => up(from) && down(to);
+
+  return { breakpoint, up, down, between };
+};
+
+
+// the media query lists of useMediaQuery and useBreakpoints along with their listeners, by query
+const mediaQuerySubscriptions = new Map();
+
+
+// wether or not the media query matches. false on the server
+function matchMediaQuery(query){
+
+  if(!isClient)
+    return false;
+
+  const subscription = mediaQuerySubscriptions.get(query);
+  return subscription ? subscription.mediaQueryList.matches : window.matchMedia(query).matches;
+
+}
+
+
+// call the listener with wether or not the media query matches whenever that changes. Returns a function that unsubscribes
+function subscribeToMediaQuery(query, listener){
+
+  if(!mediaQuerySubscriptions.has(query)){
+    const mediaQueryList = window.matchMedia(query);
+    const listeners = new Set();
+    const onChange = event => listeners.forEach(queryListener => queryListener(event.matches));
+
+    // older versions of Safari only support addListener
+    if(mediaQueryList.addEventListener)
+      mediaQueryList.addEventListener("change", onChange);
+    else
+      mediaQueryList.addListener(onChange);
+
+    mediaQuerySubscriptions.set(query, { mediaQueryList, listeners, onChange });
+  }
+
+  const { mediaQueryList, listeners, onChange } = mediaQuerySubscriptions.get(query);
+  listeners.add(listener);
+
+  return () => {
+    listeners.delete(listener);
+
+    // the last listener of the query unsubscribed
+    if(!listeners.size){
+      if(mediaQueryList.removeEventListener)
+        mediaQueryList.removeEventListener("change", onChange);
+      else
+        mediaQueryList.removeListener(onChange);
+
+      mediaQuerySubscriptions.delete(query);
+    }
+  };
+
+}
+
+
+// the scroll position of the window, or of the element of the ref if one is given. Updates at most once per animation frame.
+//  Returns { x, y, direction: { x: "left" | "right", y: "up" | "down" }, progress, isScrolled, isAtTop, isAtBottom }
+//  where progress is the vertical scroll in percent. options.threshold is the distance (in px) from the top or bottom that
+//  still counts as being at the top or bottom
+export const useScroll = (ref, options) => {
+  const threshold = (options && options.threshold) || 0; // default to 0
+
+  const [scroll, setScroll] = useState({
+    x: 0,
+    y: 0,
+    direction: { x: null, y: null },
+    progress: 0,
+    isAtTop: true,
+    isAtBottom: false
+  });
+
+  const frameRef = useRef(null);
+
+  const onScroll = () => {
+    // wait for the next frame, the scroll is read once per frame
+    if(frameRef.current)
+      return;
+
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+
+      const { x, y, scrollWidth, scrollHeight, viewportWidth, viewportHeight } = getScrollMetrics(ref && ref.current);
+      const maxY = Math.max(scrollHeight - viewportHeight, 0);
+
+      setScroll(prevScroll => {
+        if(x === prevScroll.x && y === prevScroll.y && prevScroll.progress === getScrollProgress(y, maxY))
+          return prevScroll;
+
+        return {
+          x,
+          y,
+          // keep the last direction while not scrolling along that axis
+          direction: {
+            x: x === prevScroll.x ? prevScroll.direction.x : (x > prevScroll.x ? "right" : "left"),
+            y: y === prevScroll.y ? prevScroll.direction.y : (y > prevScroll.y ? "down" : "up")
+          },
+          progress: getScrollProgress(y, maxY),
+          isAtTop: y <= threshold,
+          isAtBottom: y >= maxY - threshold
+        };
+      });
+    });
+  };
+
+  useEffect(() => {
+    const target = (ref && ref.current) || window;
+
+    // read the initial scroll
+    onScroll();
+
+    // Learn more about how { passive: true } improves scrolling performance
+    // https://developer.mozilla.org/en-US/docs/Web/API/EventTarget/addEventListener#Improving_scrolling_performance_with_passive_listeners
+    target.addEventListener("scroll", onScroll, { passive: true });
+    return () => {
+      target.removeEventListener("scroll", onScroll, { passive: true });
+      cancelAnimationFrame(frameRef.current);
+      frameRef.current = null;
+    };
+  }, [ref && ref.current, threshold]);
+
+  return { ...scroll, isScrolled: scroll.y > 0 };
+};
+
+
+// the scroll position and sizes of the element, or of the window if there is no element
+function getScrollMetrics(element){
+
+  if(element){
+    return {
+      x: element.scrollLeft,
+      y: element.scrollTop,
+      scrollWidth: element.scrollWidth,
+      scrollHeight: element.scrollHeight,
+      viewportWidth: element.clientWidth,
+      viewportHeight: element.clientHeight
+    };
+  }
+
+  return {
+    x: window.pageXOffset,
+    y: window.pageYOffset,
+    scrollWidth: document.documentElement.scrollWidth,
+    scrollHeight: document.documentElement.scrollHeight,
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight
+  };
+
+}
+
+
+// how far the scroll is from the start to the end in percent. 100 if there is nothing to scroll
+function getScrollProgress(scroll, maxScroll){
+
+  return maxScroll > 0 ? Math.min(scroll / maxScroll * 100, 100) : 100;
+
+}
+
+
+// renders only the items of a long list that are visible in the scrolling container, plus overscan items on either side.
+//  Returns { virtualItems, totalSize, scrollToIndex(index, align) } where virtualItems are the { index, start, size, measureRef }
+//  of the items to render, positioned at start inside of an element of totalSize. An item that is given measureRef uses its
+//  measured size instead of the estimated size. align is "start", "center" or "end"
+//  options: { count, estimateSize, overscan, containerRef, horizontal } where estimateSize is a size or a function of the index,
+//  which should keep its identity between renders (ie. with useCallback) as the starts of the items are computed again when it changes
+export function useVirtualList(options){
+
+  const { count, estimateSize, containerRef } = options;
+
+  // the number of items that are rendered outside of the container on either side
+  const overscan = options.overscan !== undefined ? options.overscan : 3; // default to 3
+
+  // wether or not the list scrolls horizontally
+  const horizontal = options.horizontal || false; // default to false
+
+  const scroll = useScroll(containerRef);
+  const forceUpdate = useForceUpdate();
+
+  // the measured sizes of the items by index, and the number of times that they changed, which the starts depend on
+  const measuredSizesRef = useRef(new Map());
+  const measuredSizesVersionRef = useRef(0);
+
+  // the measure refs of the items by index, the same on every render so that react does not detach and attach them again
+  const measureRefsRef = useRef(new Map());
+
+  // the measure function of the latest render, which the measure refs call with up to date starts and scroll offset
+  const latestMeasureRef = useRef(null);
+  latestMeasureRef.current = measure;
+
+  // the start of every item, followed by the total size of the list. Only computed again when the sizes change, not on every scroll
+  const starts = useMemo(() => {
+    const starts = new Float64Array(count + 1);
+    for(let index = 0; index < count; index++)
+      starts[index + 1] = starts[index] + getSize(index);
+
+    return starts;
+  }, [count, estimateSize, measuredSizesVersionRef.current]);
+
+  const totalSize = starts[count];
+
+  const container = containerRef.current;
+  const scrollOffset = horizontal ? scroll.x : scroll.y;
+  const viewportSize = getViewportSize();
+
+  const firstIndex = Math.max(findItemIndex(scrollOffset) - overscan, 0);
+  const lastIndex = Math.min(findItemIndex(scrollOffset + viewportSize) + overscan, count - 1);
+
+  const virtualItems = [];
+  for(let index = firstIndex; index <= lastIndex; index++)
+    virtualItems.push({ index, start: starts[index], size: getSize(index), measureRef: getMeasureRef(index) });
+
+
+  // the container is only available once mounted
+  useComponentDidMount(() => {
+    forceUpdate();
+  });
+
+
+  // the visible items depend on the size of the container
+  useEffect(() => {
+
+    if(!containerRef.current || typeof ResizeObserver === "undefined")
+      return;
+
+    return getResizeObserverPool().observe(containerRef.current, () => forceUpdate());
+
+  }, []);
+
+
+  // scroll the item into view
+  const scrollToIndex = (index, align) => {
+    if(!container)
+      return;
+
+    const size = getSize(index);
+    let offset = starts[index];
+
+    if(align === "center")
+      offset -= (getViewportSize() - size) / 2;
+    else if(align === "end")
+      offset -= getViewportSize() - size;
+
+    container[horizontal ? "scrollLeft" : "scrollTop"] = Math.max(offset, 0);
+  };
+
+
+  function getSize(index){
+
+    if(measuredSizesRef.current.has(index))
+      return measuredSizesRef.current.get(index);
+
+    return typeof estimateSize === "function" ? estimateSize(index) : estimateSize;
+
+  }
+
+
+  function getViewportSize(){
+
+    if(!container)
+      return 0;
+
+    return horizontal ? container.clientWidth : container.clientHeight;
+
+  }
+
+
+  // the index of the item at the offset, by binary search of the starts
+  function findItemIndex(offset){
+
+    let low = 0;
+    let high = count - 1;
+
+    while(low < high){
+      const middle = Math.ceil((low + high) / 2);
+
+      if(starts[middle] <= offset)
+        low = middle;
+      else
+        high = middle - 1;
+    }
+
+    return low;
+
+  }
+
+
+  // the item is measured when it is attached, and again whenever the shared ResizeObserver reports that its size changed
+  function getMeasureRef(index){
+
+    if(!measureRefsRef.current.has(index)){
+      let unobserve = null;
+
+      measureRefsRef.current.set(index, element => {
+        unobserve && unobserve();
+        unobserve = null;
+
+        if(!element){
+          measureRefsRef.current.delete(index);
+          return;
+        }
+
+        const rect = element.getBoundingClientRect();
+        latestMeasureRef.current(index, horizontal ? rect.width : rect.height);
+
+        if(typeof ResizeObserver !== "undefined"){
+          unobserve = getResizeObserverPool().observe(element, entry => {
+            const { borderBoxWidth, borderBoxHeight } = getResizeEntrySize(entry);
+            latestMeasureRef.current(index, horizontal ? borderBoxWidth : borderBoxHeight);
+          });
+        }
+      });
+    }
+
+    return measureRefsRef.current.get(index);
+
+  }
+
+
+  function measure(index, size){
+
+    const prevSize = getSize(index);
+
+    if(size === prevSize && measuredSizesRef.current.has(index))
+      return;
+
+    measuredSizesRef.current.set(index, size);
+    size !== prevSize && measuredSizesVersionRef.current++;
+
+    // an item above the visible items changed its size, keep the visible items in place
+    if(container && starts[index] < scrollOffset && size !== prevSize)
+      container[horizontal ? "scrollLeft" : "scrollTop"] += size - prevSize;
+
+    size !== prevSize && forceUpdate();
+
+  }
+
+
+  return { virtualItems, totalSize, scrollToIndex };
+
+}
+
+
+// use useScrollLock instead, it is the same without the option of scrollable elements
+export const useScrollFreeze = (isMenuOpen) => {
+  useScrollLock(isMenuOpen);
+};
+
+
+// locks the scrolling of the page while isLocked. The locks of every instance are counted, so the page stays locked until the
+//  last lock is released. options.allowScrollIn is a ref, or an array of refs, of the elements that can still be scrolled
+//  while locked (ie. the content of a modal)
+export const useScrollLock = (isLocked, options) => {
+  const allowScrollInRef = useRef(null);
+  allowScrollInRef.current = options && options.allowScrollIn;
+
+  useIsomorphicLayoutEffect(() => {
+    if(!isLocked)
+      return;
+
+    const lock = {
+      getAllowedElements: () => [].concat(allowScrollInRef.current || []).map(target => target && target.current).filter(element => element)
+    };
+
+    addScrollLock(lock);
+    return () => removeScrollLock(lock);
+  }, [isLocked]);
+};
+
+
+// the active locks of useScrollLock. The page is locked while there is at least one
+const scrollLocks = new Set();
+
+// the inline styles of the body before the page was locked, restored once the last lock is released
+let scrollLockBodyStyle = null;
+
+
+function addScrollLock(lock){
+
+  scrollLocks.add(lock);
+
+  if(scrollLocks.size === 1)
+    lockPageScroll();
+
+}
+
+
+function removeScrollLock(lock){
+
+  scrollLocks.delete(lock);
+
+  if(scrollLocks.size === 0)
+    unlockPageScroll();
+
+}
+
+
+function lockPageScroll(){
+
+  const { body } = document;
+
+  // measured before the scrollbar disappears
+  const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+  const paddingRight = parseFloat(window.getComputedStyle(body).paddingRight) || 0;
+
+  scrollLockBodyStyle = { overflow: body.style.overflow, paddingRight: body.style.paddingRight };
+
+  body.style.overflow = "hidden";
+
+  // take the place of the scrollbar, so that the content does not shift
+  if(scrollbarWidth > 0)
+    body.style.paddingRight = `${paddingRight + scrollbarWidth}px`;
+
+  // iOS Safari ignores overflow hidden on the body, so the touch scrolling itself is prevented
+  document.addEventListener("touchmove", preventTouchScroll, { passive: false });
+
+}
+
+
+function unlockPageScroll(){
+
+  const { body } = document;
+
+  body.style.overflow = scrollLockBodyStyle.overflow;
+  body.style.paddingRight = scrollLockBodyStyle.paddingRight;
+  scrollLockBodyStyle = null;
+
+  document.removeEventListener("touchmove", preventTouchScroll, { passive: false });
+
+}
+
+
+// prevent a touch from scrolling the page, unless it is inside of an element that any of the locks allows scrolling in
+function preventTouchScroll(event){
+
+  // let pinch zooming through
+  if(event.touches.length > 1)
+    return;
+
+  const isAllowed = Array.from(scrollLocks).some(lock =>
+    lock.getAllowedElements().some(element => element.contains(event.target))
+  );
+
+  !isAllowed && event.preventDefault();
+
+}
+
+
+// applies the theme to the document root element through a data attribute, and the css custom properties of the theme if there
+//  are any. The chosen theme is persisted, "system" follows the prefers-color-scheme of the os (resolving to "light" or "dark").
+//  Returns [appliedTheme, toggleTheme, { theme, setTheme, themes }] where theme is the chosen theme, which may be "system"
+//  options: {
+//    themes: the theme names, ie. ["light", "dark", "sepia"], or the css custom properties by theme name, ie. { light: { "--background": "#fff" } }
+//    defaultTheme: "dark" (or the first theme if there is no dark theme) unless set, pass "system" to follow the os
+//    storageKey, attribute, serverValue
+//  }
+export const useTheme = (options) => {
+  const { themeNames, themeProperties, defaultTheme, storageKey, attribute } = getThemeOptions(options);
+
+  // the theme is stored as is, so that the script of getThemeScript can read it
+  const [theme, setTheme] = usePersistentState(storageKey, defaultTheme, {
+    serializer: { stringify: value => value, parse: value => value },
+    serverValue: options && options.serverValue
+  });
+
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)", { serverValue: false });
+  const appliedTheme = theme === "system" ? (prefersDark ? "dark" : "light") : theme;
+
+  // switch to the next theme. Toggles between light and dark when there are only those two
+  const toggleTheme = () =>
+    setTheme(themeNames[(themeNames.indexOf(appliedTheme) + 1) % themeNames.length]);
+
+  useIsomorphicLayoutEffect(() => {
+    applyTheme(appliedTheme, attribute, themeProperties);
+  }, [appliedTheme]);
+
+  return [appliedTheme, toggleTheme, { theme, setTheme, themes: themeNames }];
+};
+
+
+// the source of a script that applies the stored theme before the page is painted, to prevent a flash of the wrong theme.
+//  Render it in an inline script tag at the start of the head, with the same options as useTheme
+export const getThemeScript = (options) => {
+  const { themeProperties, defaultTheme, storageKey, attribute } = getThemeOptions(options);
+
+  return `(function(){
+    try{
+      var theme = window.localStorage.getItem(${JSON.stringify(storageKey)}) || ${JSON.stringify(defaultTheme)};
+      if(theme === "system")
+        theme = window.matchMedia("(prefers-color-scheme: dark)").matches ? "dark" : "light";
+      (${applyTheme.toString()})(theme, ${JSON.stringify(attribute)}, ${JSON.stringify(themeProperties)});
+    }
+    catch(error){}
+  })();`;
+};
+
+
+// the options of useTheme and getThemeScript with their defaults
+function getThemeOptions(options){
+
+  const themes = (options && options.themes) || ["light", "dark"]; // default to light and dark without custom properties
+  const themeNames = Array.isArray(themes) ? themes : Object.keys(themes);
+
+  return {
+    themeNames,
+    themeProperties: Array.isArray(themes) ? {} : themes,
+    defaultTheme: (options && options.defaultTheme) || (themeNames.includes("dark") ? "dark" : themeNames[0]), // default to "dark"
+    storageKey: (options && options.storageKey) || "theme", // default to "theme"
+    attribute: (options && options.attribute) || "data-theme" // default to "data-theme"
+  };
+
+}
+
+
+// set the theme attribute and the css custom properties of the theme on the root element. This also runs in the inline script of
+//  getThemeScript, so it can not use anything from outside of itself, and it is written in older javascript for older browsers
+function applyTheme(theme, attribute, themeProperties){
+
+  var root = document.documentElement;
+  root.setAttribute(attribute, theme);
+
+  // remove the custom properties of the other themes
+  Object.keys(themeProperties).forEach(function(themeName){
+    Object.keys(themeProperties[themeName]).forEach(function(property){
+      root.style.removeProperty(property);
+    });
+  });
+
+  var properties = themeProperties[theme] || {};
+  Object.keys(properties).forEach(function(property){
+    root.style.setProperty(property, properties[property]);
+  });
+
+  // let the browser match the scrollbars and form controls to the theme
+  root.style.colorScheme = theme === "light" || theme === "dark" ? theme : "";
+
+}
+
+
+export const useToggle = (initialState) => {
+  const [isToggled, setToggle] = useState(initialState);
+  const toggle = () => setToggle((prevState) => !prevState);
+  // return [isToggled, toggle];
+  return { isToggled, setToggle, toggle };
+};
+
+
+// provides mouse/touch events with customization such as dragging, double click, hold etc.
+export function useMouseEvents(eventCallbacks, targets, config){
+
+  const {
+    onSingleClickCallback,
+    onDoubleClickCallback,
+    onMouseHoldCallback,
+    onMouseHoldEndCallback,
+    onDragCallback,
+    onDragStartCallback,
+    onDragEndCallback,
+    onDragHoldCallback,
+    onDragHoldEndCallback,
+    onInertiaEndCallback,
+    onSwipeLeftCallback,
+    onSwipeRightCallback,
+    onSwipeUpCallback,
+    onSwipeDownCallback,
+    onMouseDownCallback,
+    onMouseUpCallback,
+    onPinchStartCallback,
+    onPinchCallback,
+    onPinchEndCallback,
+    onRotateCallback,
+    onPanStartCallback,
+    onPanCallback,
+    onPanEndCallback
+  } = eventCallbacks;
+
+  // the maximum duration after a single click that qualifies a second click as a double click event
+  const doubleClickDuration = (config && config.doubleClickDuration) || 250; // default to 250
+
+  // the minimum duration that mouse must be held down in order to trigger a mouse down (ie hold) event
+  const mouseHoldDuration = (config && config.mouseHoldDuration) || 750; // default to 750
+
+  // the minimum duration that mouse must be held down in same position while dragging in order to trigger a drag hold event
+  const dragHoldDuration = (config && config.dragHoldDuration) || 750; // default to 750
+
+  // wether or not a drag event is to be prevented after a hold event has occured
+  const preventDragIfHeld = (config && config.preventDragIfHeld) || false; // default to false
+
+  // the minimum distance (in px) that a drag must cover in order to trigger a swipe event when it ends
+  const swipeDistance = (config && config.swipeDistance) || 50; // default to 50
+
+  // the minimum velocity (in px/ms) that a drag must have when it ends in order to trigger a swipe event
+  const swipeVelocity = (config && config.swipeVelocity) || 0.3; // default to 0.3
+
+  // lock a drag to the axis it first moves along, so that for example a horizontal swipe does not trigger vertical drag events
+  const axisLock = (config && config.axisLock) || false; // default to false
+
+  // the distance (in px) that a drag must move before its axis is locked. Drag events are only triggered once the axis is locked
+  const axisLockDistance = (config && config.axisLockDistance) || 10; // default to 10
+
+  // keep calling the drag callback with decaying momentum after a drag ends. Either true or { friction, minVelocity }
+  //  where friction is the velocity multiplier per 16ms frame and minVelocity (in px/ms) is the velocity at which it stops
+  const inertia = (config && config.inertia) || false; // default to false
+  const inertiaFriction = (inertia && inertia.friction) || 0.95; // default to 0.95
+  const inertiaMinVelocity = (inertia && inertia.minVelocity) || 0.02; // default to 0.02
+
+  // make the targets reachable from the keyboard. Enter and Space click and hold, the arrow keys drag by a step (multiplied while
+  //  shift is pressed). Either true or { step, shiftMultiplier }
+  const keyboard = (config && config.keyboard) || false; // default to false
+  const keyboardStep = (keyboard && keyboard.step) || 10; // default to 10
+  const keyboardShiftMultiplier = (keyboard && keyboard.shiftMultiplier) || 10; // default to 10
+
+  // a selector of the elements inside the target that a press must start on, ie. the handle of a draggable panel
+  const handle = (config && config.handle) || null; // default to the whole target
+
+  // listen to pointer events instead of separate mouse and touch events. Pointer events support pen input and keep
+  //  tracking a pointer through pointer capture when it leaves the target or the window
+  const usePointerEvents = (config && config.usePointerEvents) || false; // default to false
+
+  // wether or not the remaining touch point is allowed to trigger drag events after a pinch has occured
+  const allowDragAfterPinch = (config && config.allowDragAfterPinch) || false; // default to false
+
+  // wether or not a touch must be held for mouseHoldDuration before it can drag. A touch that moves before that scrolls the page
+  const holdToDragOnTouch = (config && config.holdToDragOnTouch) || false; // default to false
+
+  // if the mouse down position does not equal the mouse up position, then that does not qualify for a mouse click
+  // This will help differentiate between a drag end and click event
+  const preventClickIfPosChange =
+    (config && config.preventClickIfPosChange) ||
+    (onDragEndCallback && true); // default to true if the on drag end callback is handled
+
+  const [state, setState] = useState({
+    mouseDown: {
+      isDown: false,
+      nativeEvent: null,
+      time: null,
+    },
+    mouseHold: {
+      isHeld: false,
+      nativeEvent: null,
+    },
+    mouseDrag: {
+      isDragged: false,
+      nativeEvent: null,
+      dragX: null,
+      dragY: null
+    },
+    mouseDragHold: {
+      isDragHeld: false,
+      nativeEvent: null,
+    },
+    click: {
+      count: 0,
+      time: null
+    },
+    pinch: {
+      isPinched: false,
+      nativeEvent: null,
+      scale: 1,
+      rotation: 0,
+      center: null,
+      startCenter: null
+    }
+  });
+
+  /* refs to event handlers in order to remove the same event listener through different renders */
+  const onMouseMoveRef = useRef(onMouseMove);
+  const onMouseUpRef = useRef(onMouseUp);
+  const onMouseLeaveRef = useRef(onMouseLeave);
+  const onMultiTouchMoveRef = useRef(onMultiTouchMove);
+  const onMultiTouchEndRef = useRef(onMultiTouchEnd);
+
+  const doubleClickTimoutRef = useRef(null);
+  const mouseHoldTimeoutRef = useRef(null);
+  const dragHoldTimeoutRef = useRef(null);
+  const inertiaFrameRef = useRef(null);
+
+  // the start point, current point, last reported point and velocity of the current drag. Tracked on every native move
+  //  event, since the drag callbacks only get called once per render
+  const dragRef = useRef(null);
+
+  // the event names depending on wether they are mouse, touch or pointer events ie. mousemove for mouse and touchmove for touch
+  const eventTypes = useRef(null);
+
+  // wether or not to listen to the native move events.
+  //  If any of the drag or swipe events are registered then it is self explanatory to listen to move events.
+  const listenForMoveEvents =
+    onDragStartCallback || onDragCallback || onDragEndCallback || onDragHoldCallback || onDragHoldEndCallback ||
+    onSwipeLeftCallback || onSwipeRightCallback || onSwipeUpCallback || onSwipeDownCallback;
+
+  // wether or not to track a second touch point. If none of the pinch, rotate or pan events are registered then multi touch is ignored
+  const listenForMultiTouch =
+    onPinchStartCallback || onPinchCallback || onPinchEndCallback || onRotateCallback ||
+    onPanStartCallback || onPanCallback || onPanEndCallback;
+
+  // the distance, angle and center of the two touch points of the current pinch, and the rotation accumulated so far
+  const pinchRef = useRef(null);
+
+  // wether or not a pinch has occured since the last mouse down. A pinch is never a click
+  const hasPinchedRef = useRef(false);
+
+  // the latest event of every pointer that is currently down, by pointer id. Pointer events dont have a touches list
+  //  like touch events do, so the pointers are tracked in order to detect multi touch
+  const activePointersRef = useRef(new Map());
+
+  // the arrow keys that are currently pressed. A keyboard drag lasts until all of them are released
+  const pressedArrowKeysRef = useRef(new Set());
+
+  // the attributes that addAriaAttributes added to every target, which are removed along with the event listeners
+  const addedAttributesRef = useRef(new Map());
+
+  // the inline touch-action of every target before it was set to "none", which is restored along with the event listeners
+  const previousTouchActionsRef = useRef(new Map());
+
+  // the target elements that the listeners were added to, and the config they were added with
+  const listenedTargetsRef = useRef(null);
+
+  // the handlers of the latest render. The target listeners call them, so that they are only added again when the target elements
+  //  or the config that they depend on change, not on every render
+  const targetHandlersRef = useRef(null);
+  targetHandlersRef.current = { onMouseDown, onPointerRelease, onHeldTouchMove, onKeyDown, onKeyUp };
+
+  const targetListenersRef = useRef(null);
+  if(!targetListenersRef.current){
+    targetListenersRef.current = {
+      onMouseDown: event => targetHandlersRef.current.onMouseDown(event),
+      onPointerRelease: event => targetHandlersRef.current.onPointerRelease(event),
+      onHeldTouchMove: event => targetHandlersRef.current.onHeldTouchMove(event),
+      onKeyDown: event => targetHandlersRef.current.onKeyDown(event),
+      onKeyUp: event => targetHandlersRef.current.onKeyUp(event)
+    };
+  }
+
+  // with holdToDragOnTouch, the state of the touch: "pending" until it is held or moved, then "held" or "scrolling"
+  const touchHoldRef = useRef({ state: null, timeout: null });
+
+
+  /* SIDE EFFECT HANDLERS */
+
+
+  // stop the inertia when unmounting
+  useComponentWillUnMount(() => cancelAnimationFrame(inertiaFrameRef.current));
+
+
+  // the target elements are only known once rendered, and can change without the targets changing, ie. a ref that is attached to
+  //  another element. The listeners are moved when the elements or the listener config differ from the previous render
+  useEffect(() => {
+
+    if(!targets)
+      console.error("useMouseEvents requires a dom target value as the second argument");
+
+    const targetElements = (Array.isArray(targets) ? targets : [targets])
+      .filter(target => target)
+      .map(getTargetElement)
+      .filter(target => target);
+    const listenerConfig = { usePointerEvents, holdToDragOnTouch, keyboard: !!keyboard, listenForMoveEvents: !!listenForMoveEvents };
+
+    const listenedTargets = listenedTargetsRef.current || { targetElements: [], listenerConfig };
+    if(shallowEqual(listenedTargets.targetElements, targetElements) && shallowEqual(listenedTargets.listenerConfig, listenerConfig))
+      return;
+
+    listenedTargets.targetElements.forEach(target => {
+      removeEventListeners(target);
+    });
+
+    targetElements.forEach(target => {
+      addEventListeners(target);
+    });
+
+    listenedTargetsRef.current = { targetElements, listenerConfig };
+  });
+
+  useComponentWillUnMount(() => {
+    listenedTargetsRef.current && listenedTargetsRef.current.targetElements.forEach(target => {
+      removeEventListeners(target);
+    });
+    listenedTargetsRef.current = null;
+  });
+
+
+  // isDown updated
+  useValueUpdatedWithPrevious(
+    prevMouseDown => {
+
+      const { isDown, nativeEvent, time } = state.mouseDown; // if isDown, then event is a mousedown event object, otherwise it is a mouseup event object
+      if(isDown){ // mouse down event
+        // console.log("MOUSE DOWN");
+        onMouseDownCallback && onMouseDownCallback(nativeEvent);
+
+        listenForMoveEvents && eventTypes.current.move && document.addEventListener(eventTypes.current.move, onMouseMoveRef.current);
+        document.addEventListener(eventTypes.current.up, onMouseUpRef.current);
+        eventTypes.current.cancel && document.addEventListener(eventTypes.current.cancel, onMouseUpRef.current);
+
+        if(onMouseHoldCallback){
+          nativeEvent.target.addEventListener(eventTypes.current.leave, onMouseLeaveRef.current);
+          mouseHoldTimeoutRef.current = setTimeout(() => {
+            nativeEvent.target.removeEventListener(eventTypes.current.leave, onMouseLeaveRef.current);
+            setState(prevState => ({ ...prevState, mouseHold: { isHeld: true, nativeEvent } }));
+          }, mouseHoldDuration);
+        }
+      }
+      else{ // mouse up event
+        // console.log("MOUSE UP");
+        onMouseUpCallback && onMouseUpCallback(nativeEvent);
+
+        // did the mouse come up on the same target that the mouse went down on
+        const clickedSameTarget = prevMouseDown.nativeEvent.target === nativeEvent.target;
+
+        // if mouse is held, dragged, pinched or the touch scrolled the page, then dont register a click event
+        const isClicked = !state.mouseHold.isHeld && !state.mouseDrag.isDragged && !hasPinchedRef.current &&
+          touchHoldRef.current.state !== "scrolling" && clickedSameTarget;
+
+        setState(prevState => ({
+          ...prevState,
+
+          // if any of these events were active, they must be disabled now
+          mouseHold: { isHeld: false, nativeEvent },
+          mouseDrag: { isDragged: false, nativeEvent, dragX: null, dragY: null },
+          mouseDragHold: { isDragHeld: false, nativeEvent },
+
+          click: { count: prevState.click.count + isClicked, nativeEvent, time },
         }));
 
-        document.removeEventListener(eventTypes.current.move, onMouseMoveRef.current);
-        document.removeEventListener(eventTypes.current.up, onMouseUpRef.current);
-      }
-    },
-    state.mouseDown.isDown,
-    state.mouseDown
-  );
+        document.removeEventListener(eventTypes.current.move, onMouseMoveRef.current);
+        document.removeEventListener(eventTypes.current.up, onMouseUpRef.current);
+        eventTypes.current.cancel && document.removeEventListener(eventTypes.current.cancel, onMouseUpRef.current);
+      }
+    },
+    state.mouseDown.isDown,
+    state.mouseDown
+  );
+
+
+  // click count update, ie. mouse has been clicked
+  useValueUpdatedWithPrevious(
+    prevClick => {
+      const { count, nativeEvent, time } = state.click;
+
+      // cancel the potential mouse hold event
+      if(count > 0)
+        clearTimeout(mouseHoldTimeoutRef.current);
+
+      switch (count){
+        case 1:
+          if(onDoubleClickCallback){ // if there is no double click callback provided, then no need to settimout to wait
+            doubleClickTimoutRef.current = setTimeout(() => {
+              // console.log("SINGLE");
+              onSingleClickCallback && onSingleClickCallback(nativeEvent);
+              setState(prevState => ({ ...prevState, click: { count: 0, time: null, nativeEvent: null } }));
+            }, doubleClickDuration)
+          }
+          else{
+            // console.log("SINGLE");
+            onSingleClickCallback && onSingleClickCallback(nativeEvent);
+            setState(prevState => ({ ...prevState, click: { count: 0, time: null, nativeEvent: null } }));
+          }
+          break;
+        case 2:
+          if(time - prevClick.time <= doubleClickDuration){
+            clearTimeout(doubleClickTimoutRef.current);
+            // console.log("DOUBLE");
+            onDoubleClickCallback && onDoubleClickCallback(nativeEvent);
+            setState(prevState => ({ ...prevState, click: { count: 0, time: null, nativeEvent: null } }));
+          }
+          break;
+        default:
+          break;
+      }
+
+    },
+    state.click.count,
+    state.click
+  );
+
+
+  // is held update
+  useValuesUpdated(() => {
+
+    const { isHeld, nativeEvent } = state.mouseHold;
+
+    if(isHeld){
+      // console.log("MOUSE HOLD");
+      onMouseHoldCallback && onMouseHoldCallback(nativeEvent);
+      if(preventDragIfHeld) // dont listen to move events anymore, so that drag events dont get triggered
+        document.removeEventListener(eventTypes.current.move, onMouseMoveRef.current);
+    }
+    else{
+      // console.log("MOUSE HOLD END");
+      onMouseHoldEndCallback && onMouseHoldEndCallback(nativeEvent);
+    }
+  }, [state.mouseHold.isHeld]);
+
+
+  // isDragged updated
+  useValuesUpdated(() => {
+
+    const { isDragged, nativeEvent } = state.mouseDrag;
+    if(isDragged){
+      // cancel the potential mouse hold event
+      clearTimeout(mouseHoldTimeoutRef.current);
+      // console.log("DRAG START");
+      onDragStartCallback && onDragStartCallback(nativeEvent, getDragGesture());
+    }
+    else{
+      // console.log("DRAG END");
+      const gesture = getDragGesture();
+      onDragEndCallback && onDragEndCallback(nativeEvent, gesture);
+
+      switch (getSwipeDirection(gesture)){
+        case "left":
+          onSwipeLeftCallback && onSwipeLeftCallback(nativeEvent, gesture);
+          break;
+        case "right":
+          onSwipeRightCallback && onSwipeRightCallback(nativeEvent, gesture);
+          break;
+        case "up":
+          onSwipeUpCallback && onSwipeUpCallback(nativeEvent, gesture);
+          break;
+        case "down":
+          onSwipeDownCallback && onSwipeDownCallback(nativeEvent, gesture);
+          break;
+        default:
+          break;
+      }
+
+      inertia && startInertia(nativeEvent);
+    }
+
+  }, [state.mouseDrag.isDragged]);
+
+
+  // drag positions updated ie. mouse is being dragged
+  useValuesUpdated(() => {
+
+    const { dragX, dragY, nativeEvent } = state.mouseDrag;
+
+    // reset drag hold
+    clearTimeout(dragHoldTimeoutRef.current);
+    setState(prevState => ({ ...prevState, mouseDragHold: { isDragHeld: false, nativeEvent } }));
+
+    if(dragX || dragY){
+      onDragCallback && onDragCallback(nativeEvent, getDragGesture());
+      dragRef.current.reportedPoint = dragRef.current.point;
+
+      // set new timout. if mouse does not move until dragHoldDuration, then a drag hold event will be triggered
+      dragHoldTimeoutRef.current = setTimeout(() => {
+        setState(prevState => ({ ...prevState, mouseDragHold: { isDragHeld: true, nativeEvent } }));
+      }, dragHoldDuration);
+    }
+
+  }, [state.mouseDrag.dragX, state.mouseDrag.dragY]);
+
+
+  // mouse drag hold updated
+  useValuesUpdated(() => {
+
+    const { isDragHeld, nativeEvent } = state.mouseDragHold;
+
+    if(isDragHeld)
+      onDragHoldCallback && onDragHoldCallback(nativeEvent, getDragGesture());
+    else
+      onDragHoldEndCallback && onDragHoldEndCallback(nativeEvent, getDragGesture());
+
+  }, [state.mouseDragHold.isDragHeld])
+
+
+  // is pinched updated
+  useValuesUpdated(() => {
+
+    const { isPinched, nativeEvent } = state.pinch;
+    const gesture = getPinchGesture(state.pinch, state.pinch);
+
+    if(isPinched){
+      // console.log("PINCH START");
+      document.addEventListener(eventTypes.current.move, onMultiTouchMoveRef.current);
+      document.addEventListener(eventTypes.current.up, onMultiTouchEndRef.current);
+      document.addEventListener(eventTypes.current.cancel, onMultiTouchEndRef.current);
+
+      if(!allowDragAfterPinch) // dont listen to move events anymore, so that the remaining touch point does not trigger drag events
+        document.removeEventListener(eventTypes.current.move, onMouseMoveRef.current);
+
+      onPinchStartCallback && onPinchStartCallback(nativeEvent, gesture);
+      onPanStartCallback && onPanStartCallback(nativeEvent, gesture);
+    }
+    else{
+      // console.log("PINCH END");
+      document.removeEventListener(eventTypes.current.move, onMultiTouchMoveRef.current);
+      document.removeEventListener(eventTypes.current.up, onMultiTouchEndRef.current);
+      document.removeEventListener(eventTypes.current.cancel, onMultiTouchEndRef.current);
+
+      onPinchEndCallback && onPinchEndCallback(nativeEvent, gesture);
+      onPanEndCallback && onPanEndCallback(nativeEvent, gesture);
+    }
+
+  }, [state.pinch.isPinched]);
+
+
+  // pinch scale, rotation or center updated ie. touch points are being moved
+  useValueUpdatedWithPrevious(
+    prevPinch => {
+
+      const { isPinched, nativeEvent } = state.pinch;
+
+      // the start and end of a pinch are handled by the is pinched update
+      if(!isPinched || !prevPinch.isPinched)
+        return;
+
+      const gesture = getPinchGesture(state.pinch, prevPinch);
+
+      if(gesture.scale !== prevPinch.scale)
+        onPinchCallback && onPinchCallback(nativeEvent, gesture);
+
+      if(gesture.angleDelta !== 0)
+        onRotateCallback && onRotateCallback(nativeEvent, gesture);
+
+      if(gesture.delta.x !== 0 || gesture.delta.y !== 0)
+        onPanCallback && onPanCallback(nativeEvent, gesture);
+    },
+    state.pinch.nativeEvent,
+    state.pinch
+  );
+
+
+  /* NATIVE EVENT HANDLERS */
+
+
+  function onMouseDown(event){
+
+    // the press did not start on the handle
+    if(handle && !event.target.closest(handle))
+      return;
+
+    // prevent default for onDragstart since this custom hook is handling the implementation of drag events
+    event.target.ondragstart = event => {
+      event.preventDefault();
+    };
+
+    switch (event.type) {
+      case "mousedown":
+        eventTypes.current = {
+          move: "mousemove",
+          up: "mouseup",
+          leave: "mouseleave"
+        }; // need to listen to mouse events
+
+        mergePointerEventProperties(event);
+        break;
+      case "touchstart":
+        eventTypes.current = {
+          move: "touchmove",
+          up: "touchend",
+          cancel: "touchcancel",
+          leave: "mouseleave"
+        }; // need to listen to touch events
+
+        /* "the browser may fire both touch events and mouse events in response to the same user input...if an application does not
+           want mouse events fired on a specific touch target element, the element's touch event handlers should call preventDefault()
+           and no additional mouse events will be dispatched"
+           - https://developer.mozilla.org/en-US/docs/Web/API/Touch_events/Supporting_both_TouchEvent_and_MouseEvent#event_firing
+        */ !holdToDragOnTouch && event.preventDefault(); // the touch could still scroll the page, onMouseUp prevents the mouse events
+
+        if(event.touches.length > 1){
+          listenForMultiTouch && onMultiTouchStart(event);
+          return;
+        }
+
+        mergeTouchEventProperties(event);
+        break;
+      case "pointerdown":
+        eventTypes.current = {
+          move: "pointermove",
+          up: "pointerup",
+          cancel: "pointercancel",
+          leave: "pointerleave"
+        }; // need to listen to pointer events
+
+        // keep receiving the events of this pointer even if it leaves the target or the window
+        event.target.setPointerCapture(event.pointerId);
+        activePointersRef.current.set(event.pointerId, event);
+
+        if(activePointersRef.current.size > 1){
+          listenForMultiTouch && onMultiTouchStart(event);
+          return;
+        }
+        break;
+    }
+
+    hasPinchedRef.current = false;
+
+    // a touch can only drag once it is held
+    clearTimeout(touchHoldRef.current.timeout);
+    touchHoldRef.current = { state: null, timeout: null };
+    if(holdToDragOnTouch && (event.type === "touchstart" || event.pointerType === "touch")){
+      touchHoldRef.current = {
+        state: "pending",
+        timeout: setTimeout(() => touchHoldRef.current.state = "held", mouseHoldDuration)
+      };
+    }
+
+    // a new press stops the inertia of the previous drag
+    cancelAnimationFrame(inertiaFrameRef.current);
+
+    const point = { x: event.clientX, y: event.clientY, time: Date.now() };
+    dragRef.current = { startPoint: point, point, reportedPoint: point, velocity: { x: 0, y: 0 }, axis: null };
+
+    setState(prevState => ({ ...prevState, mouseDown: { isDown: true, nativeEvent: event, time: new Date() } }));
+  }
+
+
+  function onMouseUp(event){
+
+    // only the key that pressed the target releases it
+    if(event.type === "keyup" && !isClickKey(event))
+      return;
+
+    event.preventDefault();
+
+    // a touch point of a pinch was lifted, the press lasts until the last touch point is lifted
+    const isPointerEvent = event.type === "pointerup" || event.type === "pointercancel";
+    if((event.touches && event.touches.length) || (isPointerEvent && activePointersRef.current.size))
+      return;
+
+    eventTypes.current.up === "touchend" && mergeTouchEventProperties(event);
+    eventTypes.current.up === "mouseup" && mergePointerEventProperties(event);
+
+    // the pointer stopped moving before it was released, so there is no velocity left for the inertia
+    if(dragRef.current && Date.now() - dragRef.current.point.time > 100)
+      dragRef.current.velocity = { x: 0, y: 0 };
+
+    setState(prevState => ({ ...prevState, mouseDown: { isDown: false, nativeEvent: event, time: new Date() } }));
+  }
+
+
+  function onMouseMove(event){
+
+    // the touch moved before it was held, so it scrolls the page instead of dragging
+    const touchHold = touchHoldRef.current;
+    if(touchHold.state === "pending" || touchHold.state === "scrolling"){
+      clearTimeout(touchHold.timeout);
+      clearTimeout(mouseHoldTimeoutRef.current);
+      touchHold.state = "scrolling";
+      return;
+    }
+
+    event.preventDefault();
+
+    updateActivePointer(event);
+
+    // multiple touch points are handled by the multi touch handlers
+    if(getTouchPoints(event).length > 1)
+      return;
+
+    eventTypes.current.move === "touchmove" && mergeTouchEventProperties(event);
+    eventTypes.current.move === "mousemove" && mergePointerEventProperties(event);
+
+    // the axis of the drag is not locked yet, so this is not a drag yet
+    if(!updateDragPoint(event))
+      return;
+
+    const { point } = dragRef.current;
+
+    setState(prevState => ({ ...prevState, mouseDrag: { isDragged: true, nativeEvent: event, dragX: point.x, dragY: point.y } }));
+  }
+
+
+  function onMouseLeave(event){
+
+    // if a mouse leaves the target of the on mouse down event, then cancel hold timeout
+    clearTimeout(mouseHoldTimeoutRef.current);
+    event.target.removeEventListener(eventTypes.current.leave, onMouseLeaveRef.current);
+
+  }
+
+
+  function onMultiTouchStart(event){
+
+    // cancel the potential hold events of the first touch point
+    clearTimeout(mouseHoldTimeoutRef.current);
+    clearTimeout(dragHoldTimeoutRef.current);
+
+    // a pinch is already taking place, any additional touch points are ignored
+    if(pinchRef.current)
+      return;
+
+    const { distance, angle, center } = getTouchPointsGeometry(getTouchPoints(event));
+    pinchRef.current = { distance, angle, rotation: 0 };
+    hasPinchedRef.current = true;
+
+    setState(prevState => ({
+      ...prevState,
+      pinch: { isPinched: true, nativeEvent: event, scale: 1, rotation: 0, center, startCenter: center }
+    }));
+  }
+
+
+  function onMultiTouchMove(event){
+    event.preventDefault();
+
+    updateActivePointer(event);
+
+    const touchPoints = getTouchPoints(event);
+    if(!pinchRef.current || touchPoints.length < 2)
+      return;
+
+    const { distance, angle, center } = getTouchPointsGeometry(touchPoints);
+
+    // accumulate the rotation between moves so that the total rotation does not wrap around at 180 degrees
+    pinchRef.current.rotation += normalizeAngle(angle - pinchRef.current.angle);
+    pinchRef.current.angle = angle;
+
+    const scale = distance / pinchRef.current.distance;
+    const { rotation } = pinchRef.current;
+
+    setState(prevState => ({ ...prevState, pinch: { ...prevState.pinch, nativeEvent: event, scale, rotation, center } }));
+  }
+
+
+  function onMultiTouchEnd(event){
+
+    if(!pinchRef.current)
+      return;
+
+    const touchPoints = getTouchPoints(event);
+    if(touchPoints.length >= 2){
+      // one of the pinching touch points was lifted but another one took its place. Rebase the pinch on the new
+      //  touch points so that the scale, rotation and center dont jump
+      const { distance, angle, center } = getTouchPointsGeometry(touchPoints);
+      const pinch = pinchRef.current;
+
+      pinch.angle = angle;
+
+      setState(prevState => {
+        const { scale, center: prevCenter, startCenter } = prevState.pinch;
+        pinch.distance = distance / scale;
+
+        return {
+          ...prevState,
+          pinch: {
+            ...prevState.pinch,
+            center,
+            startCenter: { x: startCenter.x + center.x - prevCenter.x, y: startCenter.y + center.y - prevCenter.y }
+          }
+        };
+      });
+      return;
+    }
+
+    // the remaining touch point drags from where it is, rather than from where the first touch point started
+    if(allowDragAfterPinch && touchPoints.length === 1){
+      const point = { x: touchPoints[0].clientX, y: touchPoints[0].clientY, time: Date.now() };
+      dragRef.current = { startPoint: point, point, reportedPoint: point, velocity: { x: 0, y: 0 }, axis: null };
+    }
+
+    pinchRef.current = null;
+    setState(prevState => ({ ...prevState, pinch: { ...prevState.pinch, isPinched: false, nativeEvent: event } }));
+  }
+
+
+  // a held touch drags instead of scrolling the page. This is listened to on the target, as touchmove listeners on the document are
+  //  passive by default, and also with pointer events as the target does not set touch-action
+  function onHeldTouchMove(event){
+
+    touchHoldRef.current.state === "held" && event.preventDefault();
+
+  }
+
+
+  // a pointer was lifted or cancelled. This is listened to on the target, which receives the events of its captured pointers
+  function onPointerRelease(event){
+
+    activePointersRef.current.delete(event.pointerId);
+
+  }
+
+
+  function onKeyDown(event){
+
+    // keys that bubble up from the children of the target, ie. typing a space in an input
+    if(event.target !== event.currentTarget)
+      return;
+
+    if(isClickKey(event)){
+      event.preventDefault(); // Space would scroll the page
+
+      // holding a key repeats its keydown event
+      if(event.repeat)
+        return;
+
+      eventTypes.current = {
+        up: "keyup",
+        leave: "blur"
+      }; // need to listen to keyboard events
+
+      hasPinchedRef.current = false;
+
+      setState(prevState => ({ ...prevState, mouseDown: { isDown: true, nativeEvent: event, time: new Date() } }));
+    }
+    else if(getArrowKeyDirection(event) && listenForMoveEvents){
+      event.preventDefault(); // arrow keys would scroll the page
+
+      // the first arrow key starts a keyboard drag from the center of the target
+      if(!pressedArrowKeysRef.current.size){
+        const rect = event.currentTarget.getBoundingClientRect();
+        const point = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2, time: Date.now() };
+        dragRef.current = { startPoint: point, point, reportedPoint: point, velocity: { x: 0, y: 0 }, axis: null };
+      }
+      pressedArrowKeysRef.current.add(event.key);
+
+      const [directionX, directionY] = getArrowKeyDirection(event);
+      const step = keyboardStep * (event.shiftKey ? keyboardShiftMultiplier : 1);
+      const { point } = dragRef.current;
+
+      dragRef.current.point = { x: point.x + directionX * step, y: point.y + directionY * step, time: Date.now() };
+      const { x, y } = dragRef.current.point;
+
+      setState(prevState => ({ ...prevState, mouseDrag: { isDragged: true, nativeEvent: event, dragX: x, dragY: y } }));
+    }
+
+  }
+
+
+  function onKeyUp(event){
+
+    // not an arrow key of a keyboard drag, or other arrow keys are still pressed
+    if(event.target !== event.currentTarget || !pressedArrowKeysRef.current.delete(event.key) || pressedArrowKeysRef.current.size)
+      return;
+
+    setState(prevState => ({ ...prevState, mouseDrag: { isDragged: false, nativeEvent: event, dragX: null, dragY: null } }));
+
+  }
+
+
+  /* HELPER/MISC */
+
+
+  // move the current point of the drag to the position of the event and update the velocity.
+  //  Returns false if the point was not moved because the axis of the drag is not locked yet
+  function updateDragPoint(event){
+
+    const { startPoint, point, velocity } = dragRef.current;
+    const time = Date.now();
+    const elapsed = time - point.time;
+
+    let x = event.clientX;
+    let y = event.clientY;
+
+    if(axisLock){
+      if(!dragRef.current.axis){
+        const dx = x - startPoint.x;
+        const dy = y - startPoint.y;
+
+        if(Math.hypot(dx, dy) < axisLockDistance)
+          return false;
+
+        dragRef.current.axis = Math.abs(dx) >= Math.abs(dy) ? "x" : "y";
+      }
+
+      // ignore the movement along the other axis
+      if(dragRef.current.axis === "x")
+        y = startPoint.y;
+      else
+        x = startPoint.x;
+    }
+
+    // smooth the velocity so that a single jittery move does not dominate it
+    if(elapsed > 0){
+      velocity.x = 0.8 * (x - point.x) / elapsed + 0.2 * velocity.x;
+      velocity.y = 0.8 * (y - point.y) / elapsed + 0.2 * velocity.y;
+    }
+
+    dragRef.current.point = { x, y, time };
+    return true;
+
+  }
+
+
+  // the gesture object that is passed along with the native event to the drag callbacks
+  function getDragGesture(){
+
+    const { startPoint, point, reportedPoint, velocity, axis } = dragRef.current;
+
+    return {
+      start: { x: startPoint.x, y: startPoint.y },
+      current: { x: point.x, y: point.y },
+      delta: { x: point.x - reportedPoint.x, y: point.y - reportedPoint.y }, // since the previous drag callback
+      offset: { x: point.x - startPoint.x, y: point.y - startPoint.y }, // since the drag started
+      elapsedTime: Date.now() - startPoint.time, // in ms
+      velocity: { x: velocity.x, y: velocity.y }, // in px/ms
+      axis // the locked axis, "x" or "y". null if the axis is not locked
+    };
+
+  }
+
+
+  // the direction of a drag that ended with enough distance and velocity to count as a swipe. null if it is not a swipe
+  function getSwipeDirection({ offset, velocity }){
+
+    const isHorizontal = Math.abs(offset.x) >= Math.abs(offset.y);
+    const distance = isHorizontal ? offset.x : offset.y;
+    const speed = isHorizontal ? velocity.x : velocity.y;
+
+    // the drag must be released while still moving in the direction of the swipe
+    if(Math.abs(distance) < swipeDistance || Math.abs(speed) < swipeVelocity || Math.sign(distance) !== Math.sign(speed))
+      return null;
+
+    if(isHorizontal)
+      return distance > 0 ? "right" : "left";
+
+    return distance > 0 ? "down" : "up";
+
+  }
+
+
+  // keep calling the drag callback after a drag ends, moving the current point by the velocity which decays every frame
+  function startInertia(nativeEvent){
+
+    const drag = dragRef.current;
+
+    const onFrame = () => {
+      const { point, velocity } = drag;
+      const time = Date.now();
+      const elapsed = time - point.time;
+
+      const decay = Math.pow(inertiaFriction, elapsed / 16);
+      velocity.x *= decay;
+      velocity.y *= decay;
+
+      if(Math.hypot(velocity.x, velocity.y) < inertiaMinVelocity){
+        inertiaFrameRef.current = null;
+        onInertiaEndCallback && onInertiaEndCallback(nativeEvent, getDragGesture());
+        return;
+      }
+
+      drag.point = { x: point.x + velocity.x * elapsed, y: point.y + velocity.y * elapsed, time };
+
+      onDragCallback && onDragCallback(nativeEvent, { ...getDragGesture(), isInertia: true });
+      drag.reportedPoint = drag.point;
+
+      inertiaFrameRef.current = requestAnimationFrame(onFrame);
+    };
+
+    // the first frame continues from the release
+    drag.point = { ...drag.point, time: Date.now() };
+    inertiaFrameRef.current = requestAnimationFrame(onFrame);
+
+  }
+
+
+  // add the 'down' event handlers to the target
+  function addEventListeners(target){
+
+    const { onMouseDown, onPointerRelease, onHeldTouchMove, onKeyDown, onKeyUp } = targetListenersRef.current;
+
+    if(holdToDragOnTouch)
+      target.addEventListener("touchmove", onHeldTouchMove, { passive: false });
+
+    if(usePointerEvents){
+      // the browser would otherwise cancel the pointer to pan or zoom on touch screens. Touches that are not held have to be able to
+      //  scroll, the browser cancels their pointer when they do
+      if(!holdToDragOnTouch){
+        previousTouchActionsRef.current.set(target, target.style.touchAction);
+        target.style.touchAction = "none";
+      }
+
+      target.addEventListener("pointerdown", onMouseDown);
+      target.addEventListener("pointerup", onPointerRelease);
+      target.addEventListener("pointercancel", onPointerRelease);
+    }
+    else{
+      target.addEventListener("mousedown", onMouseDown);
+      target.addEventListener("touchstart", onMouseDown, { passive: false }); // not passive, onMouseDown prevents the default of touch events
+    }
+
+    if(keyboard){
+      target.addEventListener("keydown", onKeyDown);
+      target.addEventListener("keyup", onKeyUp);
+      addAriaAttributes(target);
+    }
+
+  }
+
+
+  // make the target focusable and describe its keyboard interactions. Attributes that the target already has are kept
+  function addAriaAttributes(target){
+
+    const attributes = {
+      "tabindex": "0",
+      "role": "button",
+      "aria-roledescription": listenForMoveEvents ? "draggable" : null,
+      "aria-keyshortcuts": listenForMoveEvents ? "Enter Space ArrowUp ArrowDown ArrowLeft ArrowRight" : "Enter Space"
+    };
+
+    const addedAttributes = Object.keys(attributes).filter(name => attributes[name] !== null && !target.hasAttribute(name));
+    addedAttributes.forEach(name => target.setAttribute(name, attributes[name]));
+
+    addedAttributesRef.current.set(target, addedAttributes);
+
+  }
+
+
+  // remove the attributes that addAriaAttributes added to the target
+  function removeAriaAttributes(target){
+
+    const addedAttributes = addedAttributesRef.current.get(target);
+    if(!addedAttributes)
+      return;
+
+    addedAttributes.forEach(name => target.removeAttribute(name));
+    addedAttributesRef.current.delete(target);
+
+  }
+
+
+  // remove the 'down' event handlers from the target
+  function removeEventListeners(target){
+
+    const { onMouseDown, onPointerRelease, onHeldTouchMove, onKeyDown, onKeyUp } = targetListenersRef.current;
+
+    target.removeEventListener("pointerdown", onMouseDown);
+    target.removeEventListener("pointerup", onPointerRelease);
+    target.removeEventListener("pointercancel", onPointerRelease);
+
+    target.removeEventListener("mousedown", onMouseDown);
+    target.removeEventListener("touchstart", onMouseDown, { passive: false });
+    target.removeEventListener("touchmove", onHeldTouchMove, { passive: false });
+
+    target.removeEventListener("keydown", onKeyDown);
+    target.removeEventListener("keyup", onKeyUp);
+    removeAriaAttributes(target);
+
+    if(previousTouchActionsRef.current.has(target)){
+      target.style.touchAction = previousTouchActionsRef.current.get(target);
+      previousTouchActionsRef.current.delete(target);
+    }
+
+  }
+
+
+  // wether or not the key of a keyboard event clicks, ie. Enter or Space
+  function isClickKey(event){
+
+    return event.key === "Enter" || event.key === " ";
+
+  }
+
+
+  // the [x, y] direction of an arrow key, null if the key of the keyboard event is not an arrow key
+  function getArrowKeyDirection(event){
+
+    switch (event.key){
+      case "ArrowLeft":
+        return [-1, 0];
+      case "ArrowRight":
+        return [1, 0];
+      case "ArrowUp":
+        return [0, -1];
+      case "ArrowDown":
+        return [0, 1];
+      default:
+        return null;
+    }
+
+  }
+
+
+  // keep the latest event of a pointer that is down. Does nothing for mouse and touch events
+  function updateActivePointer(event){
+
+    if(activePointersRef.current.has(event.pointerId))
+      activePointersRef.current.set(event.pointerId, event);
+
+  }
+
+
+  // the points that are currently touching, from the touches list of touch events or the active pointers of pointer events
+  function getTouchPoints(event){
+
+    if(event.touches)
+      return Array.from(event.touches);
+
+    return Array.from(activePointersRef.current.values());
+
+  }
+
+
+  // attach the properties of the touch event to the greater event object. This is so that mouse and touch event objects have
+  //  similar properties such as clientX, pageX, screenX etc.
+  function mergeTouchEventProperties(eventToMerge){
+
+    const touch = eventToMerge.changedTouches[0];
+
+    eventToMerge.clientX = touch.clientX;
+    eventToMerge.clientY = touch.clientY;
+
+    eventToMerge.pageX = touch.pageX;
+    eventToMerge.pageY = touch.pageY;
+
+    eventToMerge.screenX = touch.screenX;
+    eventToMerge.screenY = touch.screenY;
+
+    mergePointerEventProperties(eventToMerge, touch);
+
+  }
+
+
+  // attach the pointer properties pointerType, pressure and tilt to mouse and touch event objects. This is so that every
+  //  callback can read them no matter if mouse, touch or pointer events are listened to
+  function mergePointerEventProperties(eventToMerge, touch){
+
+    if("pointerType" in eventToMerge) // already a pointer event
+      return;
+
+    eventToMerge.pointerType = touch ? "touch" : "mouse";
+
+    // the pressure of a mouse is 0.5 while a button is pressed, like it is for pointer events
+    eventToMerge.pressure = touch ? (touch.force || 0.5) : (eventToMerge.buttons ? 0.5 : 0);
+
+    eventToMerge.tiltX = 0;
+    eventToMerge.tiltY = 0;
+
+  }
+
+
+  // the distance, angle (in degrees) and center point between the first two touch points
+  function getTouchPointsGeometry(touches){
+
+    const [first, second] = touches;
+
+    const dx = second.clientX - first.clientX;
+    const dy = second.clientY - first.clientY;
+
+    return {
+      distance: Math.hypot(dx, dy) || 1, // avoid dividing by zero when both touch points are at the same position
+      angle: Math.atan2(dy, dx) * 180 / Math.PI,
+      center: { x: (first.clientX + second.clientX) / 2, y: (first.clientY + second.clientY) / 2 }
+    };
+
+  }
+
+
+  // wrap an angle difference into the range (-180, 180]
+  function normalizeAngle(angle){
+
+    while(angle > 180) angle -= 360;
+    while(angle <= -180) angle += 360;
+
+    return angle;
+
+  }
+
+
+  // the gesture object that is passed along with the native event to the pinch, rotate and pan callbacks
+  function getPinchGesture(pinch, prevPinch){
+
+    const { scale, rotation, center, startCenter } = pinch;
+
+    return {
+      scale, // relative to the distance between the touch points when the pinch started
+      rotation, // total rotation in degrees since the pinch started
+      angleDelta: rotation - prevPinch.rotation, // rotation in degrees since the previous move
+      center, // the point between the two touch points
+      offset: { x: center.x - startCenter.x, y: center.y - startCenter.y }, // total two finger pan
+      delta: { x: center.x - prevPinch.center.x, y: center.y - prevPinch.center.y } // two finger pan since the previous move
+    };
+
+  }
+
+
+  return {
+    isDragged: state.mouseDrag.isDragged,
+    isHeld: state.mouseHold.isHeld,
+    isDragHeld: state.mouseDragHold.isDragHeld,
+    isPinched: state.pinch.isPinched
+  };
+
+}
+
+
+// moves the target element with the drag events of useMouseEvents through a css transform. Returns the { x, y } position of the element
+//  bounds is either "parent", a react ref or a rect { left, top, right, bottom } of the positions the element can be moved to
+export function useDraggable(target, options){
+
+  // the axis the element can be moved along, "x" or "y"
+  const axis = (options && options.axis) || null; // default to both axes
+
+  // the element can not be moved outside of the bounds
+  const bounds = (options && options.bounds) || null; // default to no bounds
+
+  // [dx, dy] the position snaps to
+  const grid = (options && options.grid) || null; // default to no snapping
+
+  // a selector of the elements inside the target that the drag must start on
+  const handle = (options && options.handle) || null; // default to the whole target
+
+  const defaultPosition = (options && options.defaultPosition) || { x: 0, y: 0 }; // default to { x: 0, y: 0 }
+
+  const [position, setPosition] = useState(defaultPosition);
+
+  // the position when the drag started and the limits of the position due to the bounds
+  const dragStartRef = useRef(null);
+
+  const { isDragged } = useMouseEvents({
+    onDragStartCallback: () => {
+      dragStartRef.current = { position, limits: getPositionLimits() };
+    },
+    onDragCallback: (event, gesture) => {
+      const { position: startPosition, limits } = dragStartRef.current;
+
+      let x = axis === "y" ? startPosition.x : startPosition.x + gesture.offset.x;
+      let y = axis === "x" ? startPosition.y : startPosition.y + gesture.offset.y;
+
+      if(grid){
+        x = startPosition.x + Math.round((x - startPosition.x) / grid[0]) * grid[0];
+        y = startPosition.y + Math.round((y - startPosition.y) / grid[1]) * grid[1];
+      }
+
+      if(limits){
+        x = clamp(x, limits.left, limits.right);
+        y = clamp(y, limits.top, limits.bottom);
+      }
+
+      setPosition({ x, y });
+    }
+  }, target, { handle });
+
+
+  // move the element to its position
+  useEffect(() => {
+
+    const element = getTargetElement(target);
+    if(element)
+      element.style.transform = `translate(${position.x}px, ${position.y}px)`;
+
+  }, [position.x, position.y]);
+
+
+  // the minimum and maximum positions that keep the element inside of the bounds
+  function getPositionLimits(){
+
+    if(!bounds)
+      return null;
+
+    const isRef = typeof bounds === "object" && "current" in bounds;
+    if(bounds !== "parent" && !isRef){
+      if(typeof bounds === "object") // bounds is a rect of positions
+        return bounds;
+
+      console.error(`useDraggable: bounds must be "parent", a ref or a rect, the bounds ${bounds} are ignored`);
+      return null;
+    }
+
+    const element = getTargetElement(target);
+    const boundsElement = element && (bounds === "parent" ? element.parentElement : bounds.current);
+
+    // the element or its bounds are not rendered
+    if(!boundsElement)
+      return null;
+
+    const elementRect = element.getBoundingClientRect();
+    const boundsRect = boundsElement.getBoundingClientRect();
+
+    return {
+      left: position.x + boundsRect.left - elementRect.left,
+      right: position.x + boundsRect.right - elementRect.right,
+      top: position.y + boundsRect.top - elementRect.top,
+      bottom: position.y + boundsRect.bottom - elementRect.bottom
+    };
+
+  }
+
+
+  // keep a value between min and max. Either limit can be left out
+  function clamp(value, min, max){
 
+    if(min !== undefined)
+      value = Math.max(value, min);
 
-  // click count update, ie. mouse has been clicked
-  useValueUpdatedWithPrevious(
-    prevClick => {
-      const { count, nativeEvent, time } = state.click;
+    if(max !== undefined)
+      value = Math.min(value, max);
 
-      // cancel the potential mouse hold event
-      if(count > 0)
-        clearTimeout(mouseHoldTimeoutRef.current);
+    return value;
 
-      switch (count){
-        case 1:
-          if(onDoubleClickCallback){ // if there is no double click callback provided, then no need to settimout to wait
-            doubleClickTimoutRef.current = setTimeout(() => {
-              // console.log("SINGLE");
-              onSingleClickCallback && onSingleClickCallback(nativeEvent);
-              setState(prevState => ({ ...prevState, click: { count: 0, time: null, nativeEvent: null } }));
-            }, doubleClickDuration)
-          }
-          else{
-            // console.log("SINGLE");
-            onSingleClickCallback && onSingleClickCallback(nativeEvent);
-            setState(prevState => ({ ...prevState, click: { count: 0, time: null, nativeEvent: null } }));
-          }
-          break;
-        case 2:
-          if(time - prevClick.time <= doubleClickDuration){
-            clearTimeout(doubleClickTimoutRef.current);
-            // console.log("DOUBLE");
-            onDoubleClickCallback && onDoubleClickCallback(nativeEvent);
-            setState(prevState => ({ ...prevState, click: { count: 0, time: null, nativeEvent: null } }));
-          }
-          break;
-        default:
-          break;
-      }
+  }
 
-    },
-    state.click.count,
-    state.click
-  );
 
+  return { x: position.x, y: position.y, isDragged, setPosition };
 
-  // is held update
-  useValuesUpdated(() => {
+}
 
-    const { isHeld, nativeEvent } = state.mouseHold;
 
-    if(isHeld){
-      // console.log("MOUSE HOLD");
-      onMouseHoldCallback && onMouseHoldCallback(nativeEvent);
-      if(preventDragIfHeld) // dont listen to move events anymore, so that drag events dont get triggered
-        document.removeEventListener(eventTypes.current.move, onMouseMoveRef.current);
-    }
-    else{
-      // console.log("MOUSE HOLD END");
-      onMouseHoldEndCallback && onMouseHoldEndCallback(nativeEvent);
-    }
-  }, [state.mouseHold.isHeld]);
+// reorders the children of a container with the drag events of useMouseEvents. Returns the ref of the container, the index of the
+//  dragged item and the index it would be dropped at (placeholderIndex). When dropped, onReorder gets called with the reordered items,
+//  the index the item was dragged from and the index it was dropped at. With keyboard, the focused item moves one step with the arrow
+//  keys of the axis. The other options are passed on to useMouseEvents, ie. usePointerEvents
+export function useSortable(items, onReorder, options){
 
+  // the direction of the list, "y" for a vertical list and "x" for a horizontal list
+  const axis = (options && options.axis) || "y"; // default to "y"
 
-  // isDragged updated
-  useValuesUpdated(() => {
+  // wether or not the focused item can be moved with the arrow keys. The items must be focusable, ie. with tabIndex={0}
+  const keyboard = (options && options.keyboard) || false; // default to false
 
-    const { isDragged, nativeEvent } = state.mouseDrag;
-    if(isDragged){
-      // cancel the potential mouse hold event
-      clearTimeout(mouseHoldTimeoutRef.current);
-      // console.log("DRAG START");
-      onDragStartCallback && onDragStartCallback(nativeEvent);
-    }
-    else{
-      // console.log("DRAG END");
-      onDragEndCallback && onDragEndCallback(nativeEvent);
-    }
+  // wether or not a touch must be held before it can start dragging an item, so that touches that move right away scroll the list
+  const holdToStartOnTouch = (options && options.holdToStartOnTouch) || false; // default to false
 
-  }, [state.mouseDrag.isDragged]);
+  // the minimum duration that a touch must be held down in order to start dragging, when holdToStartOnTouch is set
+  const mouseHoldDuration = (options && options.mouseHoldDuration) || 750; // default to 750
 
+  // the distance (in px) from the edges of the container at which the container starts scrolling
+  const autoScrollEdge = (options && options.autoScrollEdge) || 40; // default to 40
 
-  // drag positions updated ie. mouse is being dragged
-  useValuesUpdated(() => {
+  // the distance (in px) the container scrolls every frame while auto scrolling
+  const autoScrollSpeed = (options && options.autoScrollSpeed) || 10; // default to 10
 
-    const { dragX, dragY, nativeEvent } = state.mouseDrag;
+  const containerRef = useRef(null);
 
-    // reset drag hold
-    clearTimeout(dragHoldTimeoutRef.current);
-    setState(prevState => ({ ...prevState, mouseDragHold: { isDragHeld: false, nativeEvent } }));
+  const [state, setState] = useState({ draggedIndex: null, placeholderIndex: null });
 
-    if(dragX || dragY){
-      onDragCallback && onDragCallback(nativeEvent);
+  // the index of the pressed item
+  const pressRef = useRef(-1);
 
-      // set new timout. if mouse does not move until dragHoldDuration, then a drag hold event will be triggered
-      dragHoldTimeoutRef.current = setTimeout(() => {
-        setState(prevState => ({ ...prevState, mouseDragHold: { isDragHeld: true, nativeEvent } }));
-      }, dragHoldDuration);
-    }
+  // the index and rect of the items and the scroll of the container when the drag started, and the current pointer point and offset
+  const sortRef = useRef(null);
 
-  }, [state.mouseDrag.dragX, state.mouseDrag.dragY]);
+  const autoScrollFrameRef = useRef(null);
 
+  // the index of the item moved with the keyboard, which gets focused again once it is rendered at its new index
+  const keyboardMoveRef = useRef(null);
 
-  // mouse drag hold updated
-  useValuesUpdated(() => {
+  // the latest keydown handler, so that the listener does not have to be re-added on every render
+  const keyDownRef = useRef(null);
+  keyDownRef.current = onKeyDown;
 
-    const { isDragHeld, nativeEvent } = state.mouseDragHold;
+  useEffect(() => {
 
-    if(isDragHeld)
-      onDragHoldCallback && onDragHoldCallback(nativeEvent);
-    else
-      onDragHoldEndCallback && onDragHoldEndCallback(nativeEvent);
+    const container = containerRef.current;
+    if(!keyboard || !container)
+      return;
 
-  }, [state.mouseDragHold.isDragHeld])
+    const listener = event => keyDownRef.current(event);
+    container.addEventListener("keydown", listener);
 
+    return () => container.removeEventListener("keydown", listener);
 
-  /* NATIVE EVENT HANDLERS */
+  }, [keyboard]);
+
+  // focus the moved item again, as moving an element in the DOM can make it lose focus
+  useEffect(() => {
 
+    if(keyboardMoveRef.current === null)
+      return;
 
-  function onMouseDown(event){
-    // prevent default for onDragstart since this custom hook is handling the implementation of drag events
-    event.target.ondragstart = event => {
-      event.preventDefault();
-    };
+    const item = containerRef.current && containerRef.current.children[keyboardMoveRef.current];
+    keyboardMoveRef.current = null;
 
-    switch (event.type) {
-      case "mousedown":
-        eventTypes.current = {
-          move: "mousemove",
-          up: "mouseup"
-        }; // need to listen to mouse events
-        break;
-      case "touchstart":
-        eventTypes.current = {
-          move: "touchmove",
-          up: "touchend"
-        }; // need to listen to touch events
+    if(item && item !== document.activeElement)
+      item.focus();
 
-        /* "the browser may fire both touch events and mouse events in response to the same user input...if an application does not
-           want mouse events fired on a specific touch target element, the element's touch event handlers should call preventDefault()
-           and no additional mouse events will be dispatched"
-           - https://developer.mozilla.org/en-US/docs/Web/API/Touch_events/Supporting_both_TouchEvent_and_MouseEvent#event_firing
-        */ event.preventDefault();
+  });
+
+  useMouseEvents({
+    onMouseDownCallback: event => {
+      pressRef.current = getItemIndex(event.target);
+    },
+    onDragStartCallback: (event, gesture) => {
+      const index = pressRef.current;
+
+      // the press was not on an item
+      if(index === -1)
+        return;
+
+      sortRef.current = {
+        index,
+        rects: Array.from(containerRef.current.children).map(child => child.getBoundingClientRect()),
+        scroll: getScroll(),
+        point: gesture.current,
+        offset: gesture.offset
+      };
 
-        if(event.touches.length > 1)
-          return
+      setState({ draggedIndex: index, placeholderIndex: index });
+      autoScrollFrameRef.current = requestAnimationFrame(autoScroll);
+    },
+    onDragCallback: (event, gesture) => {
+      if(!sortRef.current)
+        return;
 
-        mergeTouchEventProperties(event);
-        break;
+      sortRef.current.point = gesture.current;
+      sortRef.current.offset = gesture.offset;
+      updateSort();
+    },
+    onDragEndCallback: () => {
+      if(!sortRef.current)
+        return;
+
+      cancelAnimationFrame(autoScrollFrameRef.current);
+
+      const { index } = sortRef.current;
+      const placeholderIndex = getPlaceholderIndex();
+
+      containerRef.current.children[index].style.transform = "";
+      sortRef.current = null;
+      pressRef.current = -1;
+      setState({ draggedIndex: null, placeholderIndex: null });
+
+      if(placeholderIndex !== index){
+        const reorderedItems = items.slice();
+        const [item] = reorderedItems.splice(index, 1);
+        reorderedItems.splice(placeholderIndex, 0, item);
+
+        onReorder(reorderedItems, index, placeholderIndex);
+      }
     }
+  }, containerRef, { ...options, keyboard: false, mouseHoldDuration, holdToDragOnTouch: holdToStartOnTouch });
 
-    setState(prevState => ({ ...prevState, mouseDown: { isDown: true, nativeEvent: event, time: new Date() } }));
-  }
 
+  // stop auto scrolling when unmounting
+  useComponentWillUnMount(() => cancelAnimationFrame(autoScrollFrameRef.current));
 
-  function onMouseUp(event){
-    event.preventDefault();
-    eventTypes.current.up === "touchend" && mergeTouchEventProperties(event);
 
-    setState(prevState => ({ ...prevState, mouseDown: { isDown: false, nativeEvent: event, time: new Date() } }));
-  }
+  // move the dragged item with the pointer and update the placeholder index
+  function updateSort(){
 
+    const { index, offset } = sortRef.current;
+    const scrollDelta = getScroll() - sortRef.current.scroll;
 
-  function onMouseMove(event){
-    event.preventDefault();
-    eventTypes.current.move === "touchmove" && mergeTouchEventProperties(event);
+    // the dragged item only moves along the axis of the list
+    containerRef.current.children[index].style.transform = axis === "x" ?
+      `translateX(${offset.x + scrollDelta}px)` :
+      `translateY(${offset.y + scrollDelta}px)`;
+
+    const placeholderIndex = getPlaceholderIndex();
+    setState(prevState => prevState.placeholderIndex === placeholderIndex ? prevState : { ...prevState, placeholderIndex });
 
-    setState(prevState => ({ ...prevState, mouseDrag: { isDragged: true, nativeEvent: event, dragX: event.clientX, dragY: event.clientY } }));
   }
 
 
-  function onMouseLeave(event){
+  // the index the dragged item would be dropped at, which is the number of the other items that are before the pointer
+  function getPlaceholderIndex(){
 
-    // if a mouse leaves the target of the on mouse down event, then cancel hold timeout
-    clearTimeout(mouseHoldTimeoutRef.current);
-    event.target.removeEventListener("mouseleave", onMouseLeaveRef.current);
+    const { index, rects, point, scroll } = sortRef.current;
+
+    // the rects were measured before any scrolling took place
+    const position = (axis === "x" ? point.x : point.y) + getScroll() - scroll;
+
+    return rects.filter((rect, rectIndex) => {
+      const center = axis === "x" ? rect.left + rect.width / 2 : rect.top + rect.height / 2;
+      return rectIndex !== index && position > center;
+    }).length;
 
   }
 
 
-  /* HELPER/MISC */
+  // scroll the container while the pointer is near one of its edges
+  function autoScroll(){
 
+    const container = containerRef.current;
+    const { point } = sortRef.current;
+    const rect = container.getBoundingClientRect();
 
-  // add the 'down' event handler to the target
-  function addEventListeners(target){
+    const position = axis === "x" ? point.x : point.y;
+    const start = axis === "x" ? rect.left : rect.top;
+    const end = axis === "x" ? rect.right : rect.bottom;
 
-    if(typeof target === "string"){ // this is a string of the id of the target element
-      target = document.getElementById(target);
-    }
-    else{ // target is react ref
-      target = target.current;
-    }
+    let scrollDistance = 0;
+    if(position < start + autoScrollEdge)
+      scrollDistance = -autoScrollSpeed;
+    else if(position > end - autoScrollEdge)
+      scrollDistance = autoScrollSpeed;
+
+    if(scrollDistance){
+      if(axis === "x")
+        container.scrollLeft += scrollDistance;
+      else
+        container.scrollTop += scrollDistance;
 
-    if(target){
-      target.onmousedown = onMouseDown;
-      target.ontouchstart = onMouseDown;
+      updateSort();
     }
-    // else{
-    //   console.warn("useMouseEvents: Could not find target to attach event listeners. Please make sure that the target is a React ref or an id string of the target element");
-    // }
+
+    autoScrollFrameRef.current = requestAnimationFrame(autoScroll);
 
   }
 
 
-  // attach the properties of the touch event to the greater event object. This is so that mouse and touch event objects have
-  //  similar properties such as clientX, pageX, screenX etc.
-  function mergeTouchEventProperties(eventToMerge){
+  function getScroll(){
 
-    const touch = eventToMerge.changedTouches[0];
+    return axis === "x" ? containerRef.current.scrollLeft : containerRef.current.scrollTop;
 
-    eventToMerge.clientX = touch.clientX;
-    eventToMerge.clientY = touch.clientY;
+  }
 
-    eventToMerge.pageX = touch.pageX;
-    eventToMerge.pageY = touch.pageY;
 
-    eventToMerge.screenX = touch.screenX;
-    eventToMerge.screenY = touch.screenY;
+  // move the focused item one step along the axis of the list
+  function onKeyDown(event){
+
+    // only the items themselves can be moved, not the elements inside of them
+    const focusedItem = document.activeElement;
+    if(!focusedItem || focusedItem.parentElement !== containerRef.current || sortRef.current)
+      return;
+
+    const step = {
+      [axis === "x" ? "ArrowLeft" : "ArrowUp"]: -1,
+      [axis === "x" ? "ArrowRight" : "ArrowDown"]: 1
+    }[event.key];
+
+    const index = getItemIndex(focusedItem);
+    const newIndex = index + step;
+    if(!step || newIndex < 0 || newIndex >= items.length)
+      return;
+
+    event.preventDefault();
+
+    const reorderedItems = items.slice();
+    const [item] = reorderedItems.splice(index, 1);
+    reorderedItems.splice(newIndex, 0, item);
+
+    keyboardMoveRef.current = newIndex;
+    onReorder(reorderedItems, index, newIndex);
+
+  }
+
+
+  // the index of the item that contains the element, -1 if the element is not inside an item
+  function getItemIndex(element){
+
+    const container = containerRef.current;
+    while(element && element.parentElement !== container)
+      element = element.parentElement;
+
+    return element ? Array.from(container.children).indexOf(element) : -1;
 
   }
 
 
-  return { isDragged: state.mouseDrag.isDragged, isHeld: state.mouseHold.isHeld, isDragHeld: state.mouseDragHold.isDragHeld };
+  return {
+    containerRef,
+    draggedIndex: state.draggedIndex,
+    placeholderIndex: state.placeholderIndex,
+    isSorting: state.draggedIndex !== null
+  };
+
+}
+
+
+// the dom element of a target, which is either a react ref or a string of the id of the element
+function getTargetElement(target){
+
+  if(typeof target === "string") // this is a string of the id of the target element
+    return document.getElementById(target);
+
+  // target is react ref
+  return target.current;
 
 }
 
@@ -966,24 +4206,175 @@ export function useDebounce(value, delay) {
   // State and setters for debounced value
   const [debouncedValue, setDebouncedValue] = useState(value);
 
-  useEffect(
-    () => {
-      // Update debounced value after delay
-      const handler = setTimeout(() => {
-        setDebouncedValue(value);
-      }, delay);
+  useEffect(
+    () => {
+      // Update debounced value after delay
+      const handler = setTimeout(() => {
+        setDebouncedValue(value);
+      }, delay);
+
+      // Cancel the timeout if value changes (also on delay change or unmount)
+      // This is how we prevent debounced value from updating if value is changed ...
+      // .. within the delay period. Timeout gets cleared and restarted.
+      return () => {
+        clearTimeout(handler);
+      };
+    },
+    [value, delay], // Only re-call effect if value or delay changes
+  );
+
+  return debouncedValue;
+}
+
+
+// a stable function that delays calling fn until wait ms have passed since it was last called. fn is always the latest fn that
+//  was passed to the hook. The returned function has cancel(), flush() (call the pending call now) and isPending().
+//  options: { leading, trailing, maxWait, flushOnUnmount } where maxWait is the longest fn can be delayed for
+export function useDebouncedCallback(fn, wait, options){
+
+  const fnRef = useRef(fn);
+  fnRef.current = fn;
+
+  // read by the debounced function on every call, so that changing them does not re-create it
+  const optionsRef = useRef();
+  optionsRef.current = {
+    wait: wait || 0, // default to 0
+    leading: (options && options.leading) || false, // default to false
+    trailing: !options || options.trailing !== false, // default to true
+    maxWait: options && options.maxWait, // default to no max wait
+    flushOnUnmount: (options && options.flushOnUnmount) || false // default to false
+  };
+
+  const debouncedRef = useRef(null);
+  if(!debouncedRef.current)
+    debouncedRef.current = createDebouncedFunction((...args) => fnRef.current(...args), () => optionsRef.current);
+
+  // a pending call is cancelled on unmount, unless it is flushed
+  useEffect(() => () => {
+    optionsRef.current.flushOnUnmount ? debouncedRef.current.flush() : debouncedRef.current.cancel();
+  }, []);
+
+  return debouncedRef.current;
+
+}
+
+
+// a stable function that calls fn at most once every wait ms, with the same cancel(), flush() and isPending() as useDebouncedCallback.
+//  options: { leading, trailing, flushOnUnmount }
+export function useThrottledCallback(fn, wait, options){
+
+  return useDebouncedCallback(fn, wait, {
+    ...options,
+    leading: !options || options.leading !== false, // default to true
+    maxWait: wait || 0
+  });
+
+}
+
+
+// the debounced function of useDebouncedCallback. getOptions returns the current { wait, leading, trailing, maxWait }
+function createDebouncedFunction(fn, getOptions){
+
+  let timer = null;
+  let lastArgs = null; // the arguments of the call that is pending, null once it has been called
+  let lastCallTime = null;
+  let lastInvokeTime = 0;
+  let result;
+
+  const invoke = (time) => {
+    const args = lastArgs;
+    lastArgs = null;
+    lastInvokeTime = time;
+    result = fn(...args);
+    return result;
+  };
+
+  // the ms until either the wait since the last call, or the max wait since the last invoke, is over
+  const getRemainingWait = (time) => {
+    const { wait, maxWait } = getOptions();
+    const remainingWait = wait - (time - lastCallTime);
+
+    return maxWait !== undefined ? Math.min(remainingWait, maxWait - (time - lastInvokeTime)) : remainingWait;
+  };
+
+  const shouldInvoke = (time) => {
+    const { wait, maxWait } = getOptions();
+
+    return lastCallTime === null || time - lastCallTime >= wait || time - lastCallTime < 0 ||
+      (maxWait !== undefined && time - lastInvokeTime >= maxWait);
+  };
+
+  const onTimerEnd = () => {
+    const time = Date.now();
+
+    if(!shouldInvoke(time)){
+      timer = setTimeout(onTimerEnd, getRemainingWait(time));
+      return;
+    }
+
+    timer = null;
+
+    // only call on the trailing edge if it was called since the leading edge
+    if(getOptions().trailing && lastArgs)
+      invoke(time);
+
+    lastArgs = null;
+  };
+
+  const debounced = (...args) => {
+    const time = Date.now();
+    const isInvoking = shouldInvoke(time);
+    const { wait, leading, maxWait } = getOptions();
+
+    lastArgs = args;
+    lastCallTime = time;
+
+    if(isInvoking){
+      // leading edge
+      if(timer === null){
+        lastInvokeTime = time;
+        timer = setTimeout(onTimerEnd, wait);
+        return leading ? invoke(time) : result;
+      }
+
+      // called continuously for longer than the max wait
+      if(maxWait !== undefined){
+        clearTimeout(timer);
+        timer = setTimeout(onTimerEnd, wait);
+        return invoke(time);
+      }
+    }
+
+    if(timer === null)
+      timer = setTimeout(onTimerEnd, wait);
+
+    return result;
+  };
+
+  debounced.cancel = () => {
+    timer !== null && clearTimeout(timer);
+    timer = null;
+    lastArgs = null;
+    lastCallTime = null;
+    lastInvokeTime = 0;
+  };
+
+  debounced.flush = () => {
+    if(timer === null)
+      return result;
+
+    clearTimeout(timer);
+    timer = null;
+
+    lastArgs && invoke(Date.now());
+    lastCallTime = null;
+    return result;
+  };
 
-      // Cancel the timeout if value changes (also on delay change or unmount)
-      // This is how we prevent debounced value from updating if value is changed ...
-      // .. within the delay period. Timeout gets cleared and restarted.
-      return () => {
-        clearTimeout(handler);
-      };
-    },
-    [value, delay], // Only re-call effect if value or delay changes
-  );
+  debounced.isPending = () => timer !== null && lastArgs !== null;
+
+  return debounced;
 
-  return debouncedValue;
 }
 
 
@@ -1034,40 +4425,9 @@ export function useIsCameraAvailable() {
 }
 
 
+// use usePersistentState instead, which stores the value the same way and keeps it in sync
 export function useLocalStorage2(key, initialValue) {
-  // State to store our value
-  // Pass initial state function to useState so logic is only executed once
-  const [storedValue, setStoredValue] = useState(() => {
-    try {
-      // Get from local storage by key
-      const item = window.localStorage.getItem(key);
-      // Parse stored json or if none return initialValue
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      // If error also return initialValue
-      console.log(error);
-      return initialValue;
-    }
-  });
-
-  // Return a wrapped version of useState's setter function that ...
-  // ... persists the new value to localStorage.
-  const setValue = (value) => {
-    try {
-      // Allow value to be a function so we have same API as useState
-      const valueToStore =
-        value instanceof Function ? value(storedValue) : value;
-      // Save state
-      setStoredValue(valueToStore);
-      // Save to local storage
-      window.localStorage.setItem(key, JSON.stringify(valueToStore));
-    } catch (error) {
-      // A more advanced implementation would handle the error case
-      console.log(error);
-    }
-  };
-
-  return [storedValue, setValue];
+  return usePersistentState(key, initialValue);
 }
 
 
@@ -1094,8 +4454,9 @@ export function useRightClick(callback) {
 }
 
 
-export function useWindowSize() {
-  const isClient = typeof window === 'object';
+// options.serverValue is the { width, height } rendered on the server and while hydrating, the window size is read once mounted
+export function useWindowSize(options) {
+  const serverValue = options && options.serverValue;
 
   function getSize() {
     return {
@@ -1104,17 +4465,16 @@ export function useWindowSize() {
     };
   }
 
-  const [windowSize, setWindowSize] = useState(getSize);
+  const [windowSize, setWindowSize] = useState(() => serverValue || getSize());
 
   useEffect(() => {
-    if (!isClient) {
-      return false;
-    }
-
     function handleResize() {
       setWindowSize(getSize());
     }
 
+    // hydrated with the server value
+    serverValue && handleResize();
+
     window.addEventListener('resize', handleResize);
     return () => window.removeEventListener('resize', handleResize);
   }, []); // Empty array ensures that effect is only run on mount and unmount
@@ -1123,31 +4483,496 @@ export function useWindowSize() {
 }
 
 
-function useFileDialog(onSelectFile, options){
+// the size of an element, kept up to date by a ResizeObserver that is shared by every instance. The element is either the ref,
+//  or the element that the returned callback ref is attached to. The size stays 0 where ResizeObserver is not supported.
+//  Returns [callbackRef, { width, height, borderBoxWidth, borderBoxHeight }] where width and height are of the content box
+export function useElementSize(ref) {
+  const [size, setSize] = useState({ width: 0, height: 0, borderBoxWidth: 0, borderBoxHeight: 0 });
+
+  const [element, setElement] = useObservedElement(ref);
+
+  useEffect(() => {
+
+    if(!element || typeof ResizeObserver === "undefined")
+      return;
+
+    return getResizeObserverPool().observe(element, (entry) => setSize(getResizeEntrySize(entry)));
+
+  }, [element]);
+
+  return [setElement, size];
+}
+
+
+// the visibility of an element, kept up to date by an IntersectionObserver that is shared by every instance with the same options.
+//  The element is either the ref, or the element that the returned callback ref is attached to. The element is never intersecting
+//  where IntersectionObserver is not supported. Returns [callbackRef, { isIntersecting, ratio, entry }]
+//  options: { root, rootMargin, threshold, once } where root is a ref, and once stops observing after the element first intersects
+export function useIntersection(ref, options) {
+  const root = (options && options.root) || null; // default to the viewport
+  const rootMargin = (options && options.rootMargin) || "0px"; // default to "0px"
+  const threshold = (options && options.threshold) || 0; // default to 0
+  const once = (options && options.once) || false; // default to false
+
+  const [intersection, setIntersection] = useState({ isIntersecting: false, ratio: 0, entry: null });
+
+  const [element, setElement] = useObservedElement(ref);
+
+  // observe once every ref of the commit is attached. React attaches the refs of children before the refs of their parents, so the
+  //  root (usually a scroll container around the element) is not attached yet when the callback ref is called
+  useEffect(() => {
+
+    if(!element || typeof IntersectionObserver === "undefined")
+      return;
+
+    const pool = getIntersectionObserverPool((root && root.current) || null, rootMargin, threshold);
+
+    const unobserve = pool.observe(element, (entry) => {
+      setIntersection({ isIntersecting: entry.isIntersecting, ratio: entry.intersectionRatio, entry });
+
+      once && entry.isIntersecting && unobserve();
+    });
+
+    return unobserve;
+
+  }, [element, root, rootMargin, [].concat(threshold).join(), once]);
+
+  return [setElement, intersection];
+}
+
+
+// the element of useElementSize and useIntersection, and the callback ref that sets it. The element of a ref is read once rendered,
+//  as the ref can be attached to another element without the ref changing
+function useObservedElement(ref){
+
+  const [element, setElement] = useState(null);
+
+  useEffect(() => {
+    ref && setElement(ref.current || null);
+  });
+
+  return [element, setElement];
+
+}
+
+
+// the shared ResizeObserver of useElementSize, created on first use
+let resizeObserverPool = null;
+
+// the shared IntersectionObservers of useIntersection by root element, and then by rootMargin and threshold
+const intersectionObserverPools = new Map();
+
+
+function getResizeObserverPool(){
+
+  if(!resizeObserverPool)
+    resizeObserverPool = createObserverPool(
+      callback => new ResizeObserver(callback),
+
+      // the last element was unobserved, let the observer go
+      () => resizeObserverPool = null
+    );
+
+  return resizeObserverPool;
+
+}
+
+
+function getIntersectionObserverPool(root, rootMargin, threshold){
+
+  if(!intersectionObserverPools.has(root))
+    intersectionObserverPools.set(root, new Map());
+
+  const rootPools = intersectionObserverPools.get(root);
+  const optionsKey = `${rootMargin}|${[].concat(threshold).join()}`;
+
+  if(!rootPools.has(optionsKey)){
+    const pool = createObserverPool(
+      callback => new IntersectionObserver(callback, { root, rootMargin, threshold }),
+
+      // the last element was unobserved, let the observer go
+      () => {
+        rootPools.delete(optionsKey);
+        !rootPools.size && intersectionObserverPools.delete(root);
+      }
+    );
+
+    rootPools.set(optionsKey, pool);
+  }
+
+  return rootPools.get(optionsKey);
+
+}
+
+
+// one observer shared by every element that is observed through it. observe(element, listener) calls the listener with the
+//  entries of the element, and returns a function that stops the listener. onEmpty gets called when nothing is observed anymore
+function createObserverPool(createObserver, onEmpty){
+
+  // the listeners of every observed element
+  const listeners = new Map();
+
+  const observer = createObserver(entries => {
+    entries.forEach(entry => {
+      const elementListeners = listeners.get(entry.target);
+      elementListeners && elementListeners.forEach(listener => listener(entry));
+    });
+  });
+
+  return {
+    observe(element, listener){
+      if(!listeners.has(element)){
+        listeners.set(element, new Set());
+        observer.observe(element);
+      }
+      listeners.get(element).add(listener);
+
+      return () => {
+        const elementListeners = listeners.get(element);
+        if(!elementListeners)
+          return;
+
+        elementListeners.delete(listener);
+
+        if(!elementListeners.size){
+          observer.unobserve(element);
+          listeners.delete(element);
+
+          if(!listeners.size){
+            observer.disconnect();
+            onEmpty && onEmpty();
+          }
+        }
+      };
+    }
+  };
+
+}
+
 
-  const defaultOptions = {
-    accept: '*',
-  	multiple: true,
+// the content and border box sizes of a ResizeObserver entry
+function getResizeEntrySize(entry){
+
+  // the box sizes are arrays, except in older versions of Firefox where they are a single object. Some browsers dont have them
+  const contentBoxSize = [].concat(entry.contentBoxSize || [])[0];
+  const borderBoxSize = [].concat(entry.borderBoxSize || [])[0];
+
+  return {
+    width: contentBoxSize ? contentBoxSize.inlineSize : entry.contentRect.width,
+    height: contentBoxSize ? contentBoxSize.blockSize : entry.contentRect.height,
+    borderBoxWidth: borderBoxSize ? borderBoxSize.inlineSize : entry.target.offsetWidth,
+    borderBoxHeight: borderBoxSize ? borderBoxSize.blockSize : entry.target.offsetHeight
   };
 
-	function openFileDialog(){
+}
 
-		const input = document.createElement('input');
-		input.type = 'file';
-		input.multiple = options.multiple || true; // default is true
-		input.accept = options.accept || "*"; // default is all file types
 
-		input.addEventListener("change", event => {
-			const { files } = event.target;
-			onSelectFile(files);
-		});
+// use useFilePicker instead, which can also validate, read and drop the files
+function useFileDialog(onSelectFile, options){
 
-		input.click();
-	};
+  const { openFileDialog } = useFilePicker({ ...options, onSelect: files => onSelectFile(files) });
 
-	return { openFileDialog };
+  return { openFileDialog };
 };
 
+
+// picks files with the file dialog, or by dropping them on the element of dropZoneRef. The picked files are validated and read.
+//  Returns { openFileDialog, dropZoneRef, isDragActive, files, rejections, isReading, clear } where
+//    - files is a list of the accepted { file, path, content, progress, error }. content is the file read as options.readAs, and
+//      progress is from 0 to 1 while it is read
+//    - rejections is a list of the rejected { file, path, reasons: [{ code, message }] }. The codes are "file-invalid-type",
+//      "file-too-large", "file-too-small" and "too-many-files"
+//  options: { accept, multiple, maxFiles, maxSize, minSize, directory, readAs, onSelect }
+//    - accept is like the accept attribute of file inputs, ie. "image/*,.pdf"
+//    - directory picks every file of a directory, dropped directories are read recursively
+//    - readAs is "text", "dataURL" or "arrayBuffer", files are not read without it
+//    - onSelect(files, rejections) is called with the accepted File objects and the rejections when files are picked
+export function useFilePicker(options){
+
+  // read by the handlers, so that changing them does not re-attach the drop zone listeners
+  const optionsRef = useRef();
+  optionsRef.current = {
+    accept: (options && options.accept) || "*", // default to all file types
+    multiple: !options || options.multiple !== false, // default to true
+    maxFiles: (options && options.maxFiles) || Infinity, // default to no limit
+    maxSize: (options && options.maxSize) || Infinity, // default to no limit
+    minSize: (options && options.minSize) || 0, // default to 0
+    directory: (options && options.directory) || false, // default to false
+    readAs: (options && options.readAs) || null, // default to not reading the files
+    onSelect: options && options.onSelect
+  };
+
+  const [state, setState] = useMergeState({ files: [], rejections: [], isDragActive: false });
+
+  // the latest files, for progress updates before a render
+  const filesRef = useRef([]);
+
+  // the readers of the latest pick, which are aborted when other files are picked
+  const readersRef = useRef([]);
+
+  // the number of elements in the drop zone that are dragged over, entering a child element enters it before leaving the parent
+  const dragDepthRef = useRef(0);
+
+
+  // validate and read the picked { file, path }
+  function selectFiles(pickedFiles){
+
+    const { accept, multiple, maxFiles, maxSize, minSize, readAs, onSelect } = optionsRef.current;
+    const maxFileCount = multiple ? maxFiles : 1;
+
+    const accepted = [];
+    const rejections = [];
+
+    pickedFiles.forEach(({ file, path }) => {
+      const reasons = getFileRejectionReasons(file, accept, maxSize, minSize);
+
+      if(!reasons.length && accepted.length >= maxFileCount)
+        reasons.push({ code: "too-many-files", message: `Too many files, at most ${maxFileCount} can be picked` });
+
+      reasons.length ? rejections.push({ file, path, reasons }) : accepted.push({ file, path });
+    });
+
+    abortReaders();
+
+    filesRef.current = accepted.map(({ file, path }) => ({ file, path, content: null, progress: readAs ? 0 : 1, error: null }));
+    setState({ files: filesRef.current, rejections });
+
+    onSelect && onSelect(accepted.map(({ file }) => file), rejections);
+
+    readAs && filesRef.current.forEach((pickedFile, index) => readFile(pickedFile.file, index, readAs));
+
+  }
+
+
+  function readFile(file, index, readAs){
+
+    const reader = new FileReader();
+    readersRef.current.push(reader);
+
+    reader.onprogress = event => {
+      event.lengthComputable && updateFile(index, { progress: event.loaded / event.total });
+    };
+    reader.onload = () => updateFile(index, { content: reader.result, progress: 1 });
+    reader.onerror = () => updateFile(index, { error: reader.error });
+
+    switch (readAs){
+      case "text":
+        reader.readAsText(file);
+        break;
+      case "dataURL":
+        reader.readAsDataURL(file);
+        break;
+      default:
+        reader.readAsArrayBuffer(file);
+    }
+
+  }
+
+
+  function updateFile(index, changes){
+
+    filesRef.current = filesRef.current.map((pickedFile, fileIndex) => fileIndex === index ? { ...pickedFile, ...changes } : pickedFile);
+    setState({ files: filesRef.current });
+
+  }
+
+
+  function abortReaders(){
+
+    readersRef.current.forEach(reader => {
+      reader.onprogress = reader.onload = reader.onerror = null;
+      reader.readyState === 1 && reader.abort(); // 1 is LOADING
+    });
+    readersRef.current = [];
+
+  }
+
+
+  function openFileDialog(){
+
+    const { accept, multiple, directory } = optionsRef.current;
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = multiple;
+    input.accept = accept;
+    input.webkitdirectory = directory;
+
+    input.addEventListener("change", () => {
+      selectFiles(Array.from(input.files).map(file => ({ file, path: file.webkitRelativePath || file.name })));
+    });
+
+    input.click();
+
+  }
+
+
+  function clear(){
+
+    abortReaders();
+    filesRef.current = [];
+    setState({ files: [], rejections: [] });
+
+  }
+
+
+  const selectFilesRef = useRef();
+  selectFilesRef.current = selectFiles;
+
+  // the drop zone listeners, the same on every render so that they can be removed
+  const dropZoneListenersRef = useRef(null);
+  if(!dropZoneListenersRef.current){
+    const isDraggingFiles = event => event.dataTransfer && Array.from(event.dataTransfer.types).includes("Files");
+
+    dropZoneListenersRef.current = {
+      dragenter: event => {
+        if(!isDraggingFiles(event))
+          return;
+
+        event.preventDefault();
+        dragDepthRef.current++;
+        dragDepthRef.current === 1 && setState({ isDragActive: true });
+      },
+      dragover: event => {
+        // allows dropping
+        isDraggingFiles(event) && event.preventDefault();
+      },
+      dragleave: event => {
+        if(!isDraggingFiles(event))
+          return;
+
+        dragDepthRef.current = Math.max(dragDepthRef.current - 1, 0);
+        !dragDepthRef.current && setState({ isDragActive: false });
+      },
+      drop: event => {
+        if(!isDraggingFiles(event))
+          return;
+
+        event.preventDefault(); // the browser would open the file
+        dragDepthRef.current = 0;
+        setState({ isDragActive: false });
+
+        getDroppedFiles(event.dataTransfer, optionsRef.current.directory)
+          .then(files => selectFilesRef.current(files))
+          .catch(() => selectFilesRef.current([]));
+      }
+    };
+  }
+
+  const dropZoneElementRef = useRef(null);
+
+  const dropZoneRef = useCallback(
+    (node) => {
+      const listeners = dropZoneListenersRef.current;
+
+      if (dropZoneElementRef.current)
+        Object.keys(listeners).forEach(type => dropZoneElementRef.current.removeEventListener(type, listeners[type]));
+
+      dropZoneElementRef.current = node;
+      dragDepthRef.current = 0;
+
+      if (node)
+        Object.keys(listeners).forEach(type => node.addEventListener(type, listeners[type]));
+    },
+    [],
+  );
+
+
+  // dont update the state of an unmounted component with the files that are still being read
+  useComponentWillUnMount(() => abortReaders());
+
+
+  return {
+    openFileDialog,
+    dropZoneRef,
+    isDragActive: state.isDragActive,
+    files: state.files,
+    rejections: state.rejections,
+    isReading: state.files.some(pickedFile => pickedFile.progress < 1 && !pickedFile.error),
+    clear
+  };
+
+}
+
+
+// the reasons why the file is rejected by the accept, size options of useFilePicker, empty when it is accepted
+function getFileRejectionReasons(file, accept, maxSize, minSize){
+
+  const reasons = [];
+
+  if(!isFileAccepted(file, accept))
+    reasons.push({ code: "file-invalid-type", message: `File type must be ${accept}` });
+
+  if(file.size > maxSize)
+    reasons.push({ code: "file-too-large", message: `File is larger than ${maxSize} bytes` });
+
+  if(file.size < minSize)
+    reasons.push({ code: "file-too-small", message: `File is smaller than ${minSize} bytes` });
+
+  return reasons;
+
+}
+
+
+// wether or not the file matches the accept attribute, ie. "image/*,.pdf,application/json"
+function isFileAccepted(file, accept){
+
+  const fileName = file.name.toLowerCase();
+  const mimeType = (file.type || "").toLowerCase();
+
+  return accept.split(",").map(type => type.trim().toLowerCase()).some(type => {
+    if(type === "*" || type === "*/*" || !type)
+      return true;
+
+    if(type.startsWith("."))
+      return fileName.endsWith(type);
+
+    if(type.endsWith("/*"))
+      return mimeType.startsWith(type.slice(0, -1));
+
+    return mimeType === type;
+  });
+
+}
+
+
+// a promise of the { file, path } that are dropped. The files of dropped directories are read recursively when picking directories
+function getDroppedFiles(dataTransfer, directory){
+
+  const files = Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+
+  // the entries have to be read during the drop event, the data transfer is emptied after it
+  const entries = directory && dataTransfer.items ?
+    Array.from(dataTransfer.items).map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean) :
+    [];
+
+  if(!entries.some(entry => entry.isDirectory))
+    return Promise.resolve(files);
+
+  return Promise.all(entries.map(readFileSystemEntry)).then(entryFiles => [].concat(...entryFiles));
+
+}
+
+
+// a promise of the { file, path } of the file entry, or of every file in the directory entry
+function readFileSystemEntry(entry){
+
+  if(entry.isFile)
+    return new Promise((resolve, reject) => entry.file(file => resolve([{ file, path: entry.fullPath.replace(/^\//, "") }]), reject));
+
+  const reader = entry.createReader();
+
+  // readEntries returns the entries in batches, until it returns an empty batch
+  const readEntries = (entries) => new Promise((resolve, reject) => {
+    reader.readEntries(batch => batch.length ? resolve(readEntries(entries.concat(batch))) : resolve(entries), reject);
+  });
+
+  return readEntries([])
+    .then(entries => Promise.all(entries.map(readFileSystemEntry)))
+    .then(entryFiles => [].concat(...entryFiles));
+
+}
+
 // https://stackoverflow.com/a/51082563/10163060
 function useTraceUpdate(props){
   const prev = useRef(props);
@@ -1164,3 +4989,102 @@ function useTraceUpdate(props){
     prev.current = props;
   });
 }
+
+
+// logs why a component re-rendered: the props, state and context values that changed since its previous render, along with the number
+//  of renders and the duration of the render. Spread the returned profilerProps on a react <Profiler> around the rendered elements
+//  to measure the duration. Returns { renderCount, profilerProps }
+//  options: { state, context, reporter } where state and context are objects of the values to track, and reporter(record) gets
+//  called with every update instead of logging it. See createWhyDidYouUpdateBuffer. Does nothing in production builds
+export const useWhyDidYouUpdate = isProduction ?
+  (name) => ({ renderCount: 0, profilerProps: { id: name, onRender: () => {} } }) :
+  (name, props, options) => {
+    const state = (options && options.state) || {};
+    const context = (options && options.context) || {};
+    const reporter = (options && options.reporter) || logWhyDidYouUpdate; // default to console.log
+
+    const renderCommit = useRenderCommit({ props, state, context });
+    const renderCountRef = useRef(0);
+
+    // the latest measurement of the profiler, reported along with the next update
+    const profileRef = useRef(null);
+
+    const onRender = useCallback((id, phase, actualDuration, baseDuration) => {
+      profileRef.current = { actualDuration, baseDuration };
+    }, []);
+
+    useEffect(() => {
+      const prevCommit = renderCommit.commit();
+      if(prevCommit === false)
+        return;
+
+      renderCountRef.current++;
+
+      const profile = profileRef.current;
+      profileRef.current = null;
+
+      if(!prevCommit)
+        return;
+
+      const prevCommitted = prevCommit.values;
+
+      reporter({
+        name,
+        renderCount: renderCountRef.current,
+        changes: {
+          props: getChangedValues(prevCommitted.props, props),
+          state: getChangedValues(prevCommitted.state, state),
+          context: getChangedValues(prevCommitted.context, context)
+        },
+        duration: profile ? profile.actualDuration : null, // null without a profiler
+        baseDuration: profile ? profile.baseDuration : null,
+        time: Date.now()
+      });
+    });
+
+    // this render is counted once it commits
+    return { renderCount: renderCountRef.current + 1, profilerProps: { id: name, onRender } };
+  };
+
+
+// a useWhyDidYouUpdate reporter that keeps the records, ie. for assertions in tests. records is the list of records and clear()
+//  empties it
+export const createWhyDidYouUpdateBuffer = () => {
+
+  const buffer = (record) => {
+    buffer.records.push(record);
+  };
+
+  buffer.records = [];
+  buffer.clear = () => {
+    buffer.records = [];
+  };
+
+  return buffer;
+
+};
+
+
+// the default reporter of useWhyDidYouUpdate
+function logWhyDidYouUpdate(record){
+
+  const { props, state, context } = record.changes;
+  const hasChanges = Object.keys(props).length || Object.keys(state).length || Object.keys(context).length;
+
+  console.log(
+    `${record.name} rendered ${record.renderCount} times${record.duration !== null ? ` in ${record.duration.toFixed(2)}ms` : ""}.`,
+    hasChanges ? "Changed:" : "Nothing changed", hasChanges ? record.changes : ""
+  );
+
+}
+
+
+// the { prev, next } values of the keys that changed, like useTraceUpdate computes changed props
+function getChangedValues(prevValues, values){
+
+  return getChangedKeys(prevValues, values, Object.is).reduce((changes, key) => {
+    changes[key] = { prev: prevValues[key], next: values[key] };
+    return changes;
+  }, {});
+
+}
@@ -0,0 +1,74 @@
+// test doubles of ResizeObserver and IntersectionObserver for the tests of useElementSize, useIntersection and useVirtualList in
+//  environments that dont have them, such as jsdom. install() replaces the global observers with the test doubles until uninstall(),
+//  call it before the hooks are rendered. triggerResize(element, { width, height }) and
+//  triggerIntersection(element, { isIntersecting, intersectionRatio }) call the observers of the element with an entry
+export const observerTestDouble = (() => {
+
+  // every test double observer that has been created since install
+  const observers = new Set();
+  let originalObservers = null;
+
+  class TestObserver {
+    constructor(callback, options){
+      this.callback = callback;
+      this.options = options;
+      this.elements = new Set();
+      observers.add(this);
+    }
+    observe(element){
+      this.elements.add(element);
+    }
+    unobserve(element){
+      this.elements.delete(element);
+    }
+    disconnect(){
+      this.elements.clear();
+    }
+  }
+
+  class TestResizeObserver extends TestObserver {}
+  class TestIntersectionObserver extends TestObserver {}
+
+  // call the observers of the type that observe the element with the entry
+  const trigger = (ObserverType, element, entry) => {
+    observers.forEach(observer => {
+      if(observer instanceof ObserverType && observer.elements.has(element))
+        observer.callback([entry], observer);
+    });
+  };
+
+
+  return {
+    install(){
+      originalObservers = { ResizeObserver: globalThis.ResizeObserver, IntersectionObserver: globalThis.IntersectionObserver };
+      globalThis.ResizeObserver = TestResizeObserver;
+      globalThis.IntersectionObserver = TestIntersectionObserver;
+      observers.clear();
+    },
+    uninstall(){
+      globalThis.ResizeObserver = originalObservers.ResizeObserver;
+      globalThis.IntersectionObserver = originalObservers.IntersectionObserver;
+      originalObservers = null;
+      observers.clear();
+    },
+    triggerResize(element, { width, height }){
+      const boxSize = [{ inlineSize: width, blockSize: height }];
+      trigger(TestResizeObserver, element, {
+        target: element,
+        contentRect: { x: 0, y: 0, top: 0, left: 0, width, height, right: width, bottom: height },
+        contentBoxSize: boxSize,
+        borderBoxSize: boxSize
+      });
+    },
+    triggerIntersection(element, entry){
+      trigger(TestIntersectionObserver, element, {
+        target: element,
+        isIntersecting: false,
+        intersectionRatio: 0,
+        time: Date.now(),
+        ...entry
+      });
+    }
+  };
+
+})();